@@ -0,0 +1,99 @@
+/**
+ * @typedef {Object} BatchOptions
+ * @property {number} size - Call the listener once this many events are buffered
+ * @property {number} [maxWait=100] - Call the listener this many milliseconds after the first buffered event, even if the batch is not full
+ */
+
+/**
+ * @template {import('./event').PulseEvent} [TEvent=import('./event').PulseEvent]
+ * @typedef {Object} BatchEntry
+ * @property {TEvent} event
+ * @property {AbortSignal} signal - The signal of the delivery that buffered the event
+ * @property {(outcome: import('./listener').ListenerOutcome) => void} resolve - Settles that delivery
+ */
+
+/**
+ * Buffers the events delivered to a listener and hands them over in batches
+ * @template {import('./event').PulseEvent} [TEvent=import('./event').PulseEvent]
+ */
+export class Batch {
+    /**
+     * @param {BatchOptions} options
+     * @param {(entries: BatchEntry<TEvent>[]) => void} flush - Receives each batch
+     */
+    constructor(options, flush) {
+        this.size = options.size;
+        this.maxWait = options.maxWait ?? 100;
+        this.#flush = flush;
+
+        if (!Number.isInteger(this.size) || this.size < 1) {
+            throw new Error(`Invalid batch size: ${this.size}`);
+        }
+        if (!(this.maxWait >= 0)) {
+            throw new Error(`Invalid batch maxWait: ${this.maxWait}`);
+        }
+    }
+
+    /** @type {(entries: BatchEntry<TEvent>[]) => void} */
+    #flush;
+
+    /** @type {BatchEntry<TEvent>[]} */
+    #entries = [];
+
+    /** @type {ReturnType<typeof setTimeout>|undefined} */
+    #timer;
+
+    /**
+     * Number of buffered events
+     * @returns {number}
+     */
+    get pending() {
+        return this.#entries.length;
+    }
+
+    /**
+     * Buffer an event. Resolves with its outcome once its batch was handled.
+     * @param {TEvent} event
+     * @param {AbortSignal} signal
+     * @returns {Promise<import('./listener').ListenerOutcome>}
+     */
+    push(event, signal) {
+        return new Promise(resolve => {
+            /** @type {BatchEntry<TEvent>} */
+            const entry = {
+                event,
+                signal,
+                resolve: (outcome) => {
+                    signal.removeEventListener('abort', onAbort);
+                    resolve(outcome);
+                },
+            };
+            // A delivery that times out or is cancelled while buffered leaves the batch
+            const onAbort = () => {
+                const index = this.#entries.indexOf(entry);
+                if (index === -1) return;
+                this.#entries.splice(index, 1);
+                if (this.#entries.length === 0) clearTimeout(this.#timer);
+                entry.resolve({ status: 'skipped', reason: 'aborted' });
+            };
+            signal.addEventListener('abort', onAbort, { once: true });
+
+            this.#entries.push(entry);
+            if (this.#entries.length >= this.size) {
+                this.flush();
+            } else if (this.#entries.length === 1) {
+                this.#timer = setTimeout(() => this.flush(), this.maxWait);
+            }
+        });
+    }
+
+    /**
+     * Hand the buffered events over now
+     */
+    flush() {
+        clearTimeout(this.#timer);
+        this.#timer = undefined;
+        const entries = this.#entries.splice(0);
+        if (entries.length > 0) this.#flush(entries);
+    }
+}
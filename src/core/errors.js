@@ -0,0 +1,78 @@
+/**
+ * Rejection reason of `pulse.request()`: no listener matched, no listener responded, or listeners failed.
+ * `errors` holds the errors collected on the event.
+ */
+export class PulseRequestError extends AggregateError {
+    /**
+     * @param {string} message
+     * @param {Error[]} errors
+     * @param {string} topic
+     * @param {import('./event').PulseEvent|null} event - The emitted event, or null if nothing was emitted
+     */
+    constructor(message, errors, topic, event) {
+        super(errors, message);
+        this.name = 'PulseRequestError';
+        this.topic = topic;
+        this.event = event;
+    }
+}
+
+/**
+ * A payload (or a listener's returned value) did not pass the validators registered with `pulse.define()`
+ */
+export class PulseValidationError extends Error {
+    /**
+     * @param {string} topic
+     * @param {import('./schema').ValidationIssue[]} issues
+     * @param {'data'|'response'} [kind='data'] - What was validated
+     */
+    constructor(topic, issues, kind = 'data') {
+        const details = issues.map(issue => `${issue.path || '(root)'} ${issue.message}`).join('; ');
+        super(`Invalid ${kind} for topic ${topic}: ${details}`);
+        this.name = 'PulseValidationError';
+        this.topic = topic;
+        this.kind = kind;
+        this.issues = issues;
+    }
+}
+
+/**
+ * A listener failed or timed out, as reported in `event.results`.
+ * `cause` is the original error, the one found in `event.errors`.
+ */
+export class PulseListenerError extends Error {
+    /**
+     * @param {any} cause - What the listener threw, or its timeout error
+     * @param {import('./listener').ListenerResult} result - The failed result (without its error)
+     * @param {string} topic
+     */
+    constructor(cause, result, topic) {
+        const label = result.name ? `${result.name} (${result.pattern})` : result.pattern;
+        const reason = cause instanceof Error ? cause.message : String(cause);
+        super(`Listener ${label} ${result.status === 'timeout' ? 'timed out' : 'failed'} for topic ${topic}: ${reason}`, { cause });
+        this.name = 'PulseListenerError';
+        this.topic = topic;
+        this.listener = result.listener;
+        this.pattern = result.pattern;
+        this.listenerName = result.name;
+        this.status = result.status;
+        this.duration = result.duration;
+    }
+}
+
+/**
+ * An emit nested deeper than the Pulse `maxDepth`, usually a listener emitting the events that trigger it
+ */
+export class PulseDepthError extends Error {
+    /**
+     * @param {import('./event').PulseEvent} event - The event that was not dispatched
+     * @param {number} maxDepth
+     */
+    constructor(event, maxDepth) {
+        super(`Maximum emit depth (${maxDepth}) exceeded for topic ${event.topic} (correlation id: ${event.correlationId}, caused by: ${event.causationId})`);
+        this.name = 'PulseDepthError';
+        this.topic = event.topic;
+        this.event = event;
+        this.maxDepth = maxDepth;
+    }
+}
@@ -1,6 +1,19 @@
 /** @type {number} */
 let eventCounter = 0;
 
+/**
+ * Serializable form of a PulseEvent, used to rebuild it in another context
+ * @typedef {Object} SerializedEvent
+ * @property {string} id
+ * @property {string} topic
+ * @property {any} data
+ * @property {number} timestamp
+ * @property {string} [correlationId]
+ * @property {string|null} [causationId]
+ * @property {number} [depth]
+ * @property {{ silent: boolean, source: string|null, timeout: number, cancelable: boolean }} options
+ */
+
 /**
  * Base event class for Pulse event system.
  * Can be extended to create custom event types.
@@ -12,6 +25,12 @@ export class PulseEvent {
      */
     #context = new Map();
 
+    /**
+     * Pulse that dispatched the event, used by emit()
+     * @type {import('./pulse').Pulse<any>|null}
+     */
+    #pulse = null;
+
     /**
      * @param {string} topic
      * @param {any} data
@@ -19,20 +38,45 @@ export class PulseEvent {
      * @param {boolean} [options.silent=false] - If true, the event will not collect responses or errors.
      * @param {string|null} [options.source=null] - The source of the event.
      * @param {number} [options.timeout=5000] - The timeout for the event in milliseconds.
+     * @param {boolean} [options.cancelable=false] - If true, handlers can veto the event with preventDefault().
+     * @param {PulseEvent} [options.parent] - The event that caused this one.
+     * @param {string} [options.correlationId] - Correlation id of a new cascade (defaults to the parent's, or this event's id).
      */
     constructor(topic, data, options = {}) {
+        // Only the parent's ids are kept, so a cascade doesn't hold on to every ancestor
+        const { parent, correlationId, ...eventOptions } = options;
+
         this.topic = topic;
         this.data = data;
         this.options = {
             silent: false,
             source: null,
             timeout: 5000,
-            ...options
+            cancelable: false,
+            ...eventOptions
         };
 
         this.timestamp = Date.now();
         this.id = `${this.topic}-${this.timestamp}-${++eventCounter}`;
 
+        /**
+         * Shared by every event of a cascade: the id of the root event unless given
+         * @type {string}
+         */
+        this.correlationId = parent?.correlationId ?? correlationId ?? this.id;
+
+        /**
+         * Id of the event that caused this one, null for a root event
+         * @type {string|null}
+         */
+        this.causationId = parent?.id ?? null;
+
+        /**
+         * Number of ancestors: 0 for a root event
+         * @type {number}
+         */
+        this.depth = parent ? parent.depth + 1 : 0;
+
         /**
          * @type {any[]}
          */
@@ -42,6 +86,147 @@ export class PulseEvent {
          * @type {Error[]}
          */
         this.errors = [];
+
+        /**
+         * Every listener attempt made while dispatching this event, retries included
+         * @type {import('./listener').ListenerAttempt[]}
+         */
+        this.attempts = [];
+
+        /**
+         * One entry per listener delivery, telling which listener produced which response or error
+         * @type {import('./listener').ListenerResult[]}
+         */
+        this.results = [];
+
+        /**
+         * Listeners that did not run for this event because of flow control (debounce, throttle, rate limit)
+         * @type {{ listener: import('./listener').Listener<any>, pattern: string, reason: string }[]}
+         */
+        this.skipped = [];
+
+        /**
+         * True once preventDefault() was called on a cancelable event
+         * @type {boolean}
+         */
+        this.defaultPrevented = false;
+
+        /**
+         * True once stopPropagation() or stopImmediatePropagation() was called
+         * @type {boolean}
+         */
+        this.propagationStopped = false;
+
+        /**
+         * True once stopImmediatePropagation() was called
+         * @type {boolean}
+         */
+        this.immediatePropagationStopped = false;
+    }
+
+    /**
+     * Serializable snapshot of the event (responses, errors and context are not included).
+     * Subclasses adding fields should extend both toJSON() and fromJSON().
+     * @returns {SerializedEvent}
+     */
+    toJSON() {
+        const { silent, source, timeout, cancelable } = this.options;
+        return {
+            id: this.id,
+            topic: this.topic,
+            data: this.data,
+            timestamp: this.timestamp,
+            correlationId: this.correlationId,
+            causationId: this.causationId,
+            depth: this.depth,
+            options: { silent, source, timeout, cancelable },
+        };
+    }
+
+    /**
+     * Rebuild an event from toJSON() output, keeping its id, timestamp and causation fields
+     * @template {typeof PulseEvent} T
+     * @this {T}
+     * @param {SerializedEvent} json
+     * @returns {InstanceType<T>}
+     */
+    static fromJSON(json) {
+        const event = /** @type {InstanceType<T>} */ (new this(json.topic, json.data, json.options));
+        event.id = json.id;
+        event.timestamp = json.timestamp;
+        event.correlationId = json.correlationId ?? json.id;
+        event.causationId = json.causationId ?? null;
+        event.depth = json.depth ?? 0;
+        return event;
+    }
+
+    /**
+     * Whether handlers can veto the event with preventDefault()
+     * @returns {boolean}
+     */
+    get cancelable() {
+        return Boolean(this.options.cancelable);
+    }
+
+    /**
+     * Skip listeners with a lower priority than the current one.
+     * Only takes effect in `sequential` and `priority-groups` dispatch.
+     * @template {PulseEvent} T
+     * @this {T}
+     * @returns {T} Returns this for chaining
+     */
+    stopPropagation() {
+        this.propagationStopped = true;
+        return this;
+    }
+
+    /**
+     * Skip every listener that has not started yet, including those sharing the current priority.
+     * Only takes effect in `sequential` and `priority-groups` dispatch.
+     * @template {PulseEvent} T
+     * @this {T}
+     * @returns {T} Returns this for chaining
+     */
+    stopImmediatePropagation() {
+        this.propagationStopped = true;
+        this.immediatePropagationStopped = true;
+        return this;
+    }
+
+    /**
+     * Veto the default action of a cancelable event. Has no effect if the event is not cancelable.
+     * @template {PulseEvent} T
+     * @this {T}
+     * @returns {T} Returns this for chaining
+     */
+    preventDefault() {
+        if (this.cancelable) this.defaultPrevented = true;
+        return this;
+    }
+
+    /**
+     * Remember the Pulse dispatching this event; the first one wins. Called by Pulse.
+     * @template {PulseEvent} T
+     * @this {T}
+     * @param {import('./pulse').Pulse<any>} pulse
+     * @returns {T} Returns this for chaining
+     */
+    attach(pulse) {
+        this.#pulse ??= pulse;
+        return this;
+    }
+
+    /**
+     * Emit an event caused by this one, on the Pulse that dispatched it.
+     * The child shares this event's correlationId, and its causationId is this event's id.
+     * @param {string} topic
+     * @param {any} data
+     * @param {import('./pulse').EmitOptions} [options]
+     * @returns {Promise<PulseEvent>}
+     */
+    async emit(topic, data, options = {}) {
+        if (!this.#pulse) throw new Error(`Event ${this.id} was not dispatched by a Pulse`);
+        return this.#pulse.emit(topic, data, { ...options, parent: this });
     }
 
     /**
@@ -0,0 +1,438 @@
+/**
+ * @typedef {Object} ThrottleOptions
+ * @property {number} interval - Minimum time in milliseconds between two calls
+ * @property {boolean} [leading=true] - Call on the first event of an interval
+ * @property {boolean} [trailing=true] - Call with the last event received during the interval, once it ends
+ */
+
+/**
+ * @typedef {Object} RateLimitOptions
+ * @property {number} limit - Maximum number of calls per interval
+ * @property {number} interval - Sliding window, in milliseconds
+ * @property {'drop'|'queue'} [overflow='drop'] - Skip the calls over the limit, or delay them until a slot frees up
+ */
+
+/**
+ * Decides whether a listener call goes ahead.
+ * `acquire()` resolves with null when the call can run now, or with the reason it was skipped.
+ * @typedef {Object} FlowGate
+ * @property {(signal: AbortSignal) => Promise<string|null>} acquire
+ * @property {() => void} destroy - Clear timers; waiting calls are skipped with reason `destroyed`
+ */
+
+/**
+ * @param {any} value
+ * @param {string} name
+ * @returns {number}
+ */
+const duration = (value, name) => {
+    if (typeof value !== 'number' || !(value >= 0)) throw new Error(`Invalid ${name}: ${value}`);
+    return value;
+};
+
+/**
+ * Settles a held call with null (run it) or a skip reason. Returns false if it was already settled.
+ * @callback Settle
+ * @param {string|null} result
+ * @returns {boolean}
+ */
+
+/**
+ * Calls held until something settles them: a timer, a newer call, an abort or destroy()
+ */
+class Waiting {
+    /** @type {Set<Settle>} */
+    #settlers = new Set();
+
+    /**
+     * @param {AbortSignal} signal
+     * @returns {{ promise: Promise<string|null>, settle: Settle }}
+     */
+    hold(signal) {
+        /** @type {Settle} */
+        let settle = () => false;
+        const promise = new Promise(resolve => {
+            const onAbort = () => settle('aborted');
+            settle = (result) => {
+                if (!this.#settlers.delete(settle)) return false;
+                signal.removeEventListener('abort', onAbort);
+                resolve(result);
+                return true;
+            };
+            this.#settlers.add(settle);
+            signal.addEventListener('abort', onAbort, { once: true });
+        });
+        return { promise, settle };
+    }
+
+    /**
+     * @param {string|null} result
+     */
+    settleAll(result) {
+        for (const settle of [...this.#settlers]) settle(result);
+    }
+}
+
+/**
+ * Runs the last call once no other call arrived for `wait` milliseconds; earlier ones are skipped
+ * @implements {FlowGate}
+ */
+export class Debounce {
+    /**
+     * @param {number} wait
+     */
+    constructor(wait) {
+        this.wait = duration(wait, 'debounce');
+    }
+
+    #waiting = new Waiting();
+
+    /** @type {Settle|null} */
+    #pending = null;
+
+    /** @type {ReturnType<typeof setTimeout>|undefined} */
+    #timer;
+
+    /**
+     * @param {AbortSignal} signal
+     * @returns {Promise<string|null>}
+     */
+    acquire(signal) {
+        clearTimeout(this.#timer);
+        this.#pending?.('debounced');
+
+        const { promise, settle } = this.#waiting.hold(signal);
+        this.#pending = settle;
+        this.#timer = setTimeout(() => {
+            this.#pending = null;
+            settle(null);
+        }, this.wait);
+
+        promise.then(() => {
+            if (this.#pending !== settle) return;
+            // Aborted while waiting: nothing left to run
+            this.#pending = null;
+            clearTimeout(this.#timer);
+        });
+        return promise;
+    }
+
+    destroy() {
+        clearTimeout(this.#timer);
+        this.#pending = null;
+        this.#waiting.settleAll('destroyed');
+    }
+}
+
+/**
+ * Runs at most one call per interval, on the leading and/or trailing edge
+ * @implements {FlowGate}
+ */
+export class Throttle {
+    /**
+     * @param {number|ThrottleOptions} options - Interval, or options
+     */
+    constructor(options) {
+        const { interval, leading = true, trailing = true } = typeof options === 'number' ? { interval: options } : options;
+        this.interval = duration(interval, 'throttle interval');
+        this.leading = leading;
+        this.trailing = trailing;
+        if (!leading && !trailing) throw new Error('Invalid throttle: leading and trailing can not both be false');
+    }
+
+    #waiting = new Waiting();
+
+    /** End of the current interval */
+    #windowEnd = 0;
+
+    /** @type {Settle|null} */
+    #pending = null;
+
+    /** @type {ReturnType<typeof setTimeout>|undefined} */
+    #timer;
+
+    /**
+     * @param {AbortSignal} signal
+     * @returns {Promise<string|null>}
+     */
+    async acquire(signal) {
+        const now = Date.now();
+
+        if (now >= this.#windowEnd && !this.#pending) {
+            this.#windowEnd = now + this.interval;
+            if (this.leading) return null;
+        } else if (!this.trailing) {
+            return 'throttled';
+        }
+
+        // Held for the trailing edge, replacing the call held so far
+        this.#pending?.('throttled');
+        const { promise, settle } = this.#waiting.hold(signal);
+        this.#pending = settle;
+
+        if (this.#timer === undefined) {
+            this.#timer = setTimeout(() => {
+                this.#timer = undefined;
+                const pending = this.#pending;
+                this.#pending = null;
+                // The trailing call opens a new interval
+                if (pending) this.#windowEnd = Date.now() + this.interval;
+                pending?.(null);
+            }, Math.max(0, this.#windowEnd - now));
+        }
+
+        const result = await promise;
+        if (this.#pending === settle) this.#pending = null;
+        return result;
+    }
+
+    destroy() {
+        clearTimeout(this.#timer);
+        this.#timer = undefined;
+        this.#pending = null;
+        this.#waiting.settleAll('destroyed');
+    }
+}
+
+/**
+ * Caps calls per sliding window; calls over the limit are dropped or queued
+ * @implements {FlowGate}
+ */
+export class RateLimit {
+    /**
+     * @param {RateLimitOptions} options
+     */
+    constructor(options) {
+        this.limit = options.limit;
+        this.interval = duration(options.interval, 'rate limit interval');
+        this.overflow = options.overflow ?? 'drop';
+
+        if (!Number.isInteger(this.limit) || this.limit < 1) throw new Error(`Invalid rate limit: ${this.limit}`);
+        if (this.overflow !== 'drop' && this.overflow !== 'queue') throw new Error(`Invalid rate limit overflow: ${this.overflow}`);
+    }
+
+    #waiting = new Waiting();
+
+    /**
+     * Start times of the calls in the current window
+     * @type {number[]}
+     */
+    #calls = [];
+
+    /** @type {Settle[]} */
+    #queue = [];
+
+    /** @type {ReturnType<typeof setTimeout>|undefined} */
+    #timer;
+
+    /**
+     * Number of calls waiting for a slot
+     * @returns {number}
+     */
+    get queued() {
+        return this.#queue.length;
+    }
+
+    /**
+     * @param {number} now
+     * @returns {boolean}
+     */
+    #hasSlot(now) {
+        while (this.#calls.length > 0 && /** @type {number} */ (this.#calls[0]) <= now - this.interval) this.#calls.shift();
+        return this.#calls.length < this.limit;
+    }
+
+    /**
+     * @param {AbortSignal} signal
+     * @returns {Promise<string|null>}
+     */
+    async acquire(signal) {
+        const now = Date.now();
+        if (this.#queue.length === 0 && this.#hasSlot(now)) {
+            this.#calls.push(now);
+            return null;
+        }
+        if (this.overflow === 'drop') return 'rate-limited';
+
+        const { promise, settle } = this.#waiting.hold(signal);
+        this.#queue.push(settle);
+        this.#schedule();
+
+        const result = await promise;
+        // Aborted calls leave the queue
+        const index = this.#queue.indexOf(settle);
+        if (index !== -1) this.#queue.splice(index, 1);
+        return result;
+    }
+
+    #schedule() {
+        if (this.#timer !== undefined || this.#queue.length === 0) return;
+        const wait = /** @type {number} */ (this.#calls[0]) + this.interval - Date.now();
+        this.#timer = setTimeout(() => {
+            this.#timer = undefined;
+            const now = Date.now();
+            while (this.#queue.length > 0 && this.#hasSlot(now)) {
+                if (this.#queue.shift()?.(null)) this.#calls.push(now);
+            }
+            this.#schedule();
+        }, Math.max(0, wait));
+    }
+
+    destroy() {
+        clearTimeout(this.#timer);
+        this.#timer = undefined;
+        this.#queue = [];
+        this.#waiting.settleAll('destroyed');
+    }
+}
+
+/**
+ * @typedef {'drop-oldest'|'drop-newest'|'error'|'wait'} QueueOverflow
+ * - `drop-oldest`: skip the oldest queued call to make room
+ * - `drop-newest`: skip the incoming call
+ * - `error`: the incoming call fails with an error (default)
+ * - `wait`: the incoming call waits for room in the queue, so emit() applies backpressure
+ */
+
+/**
+ * @typedef {Object} QueueOptions
+ * @property {number} [max=Infinity] - Maximum number of calls waiting for a slot
+ * @property {QueueOverflow} [overflow='error'] - What to do when the queue is full
+ */
+
+/** @type {QueueOverflow[]} */
+const QUEUE_OVERFLOWS = ['drop-oldest', 'drop-newest', 'error', 'wait'];
+
+/**
+ * Runs at most `concurrency` calls at once; the others wait in a FIFO queue.
+ * Unlike the other gates, every admitted call must be followed by release().
+ * @implements {FlowGate}
+ */
+export class ConcurrencyLimit {
+    /**
+     * @param {number} concurrency
+     * @param {QueueOptions} [queue]
+     * @param {string} [pattern] - Used in error messages
+     */
+    constructor(concurrency, queue = {}, pattern = '') {
+        this.concurrency = concurrency;
+        this.max = queue.max ?? Infinity;
+        /** @type {QueueOverflow} */
+        this.overflow = queue.overflow ?? 'error';
+        this.pattern = pattern;
+
+        if (!Number.isInteger(this.concurrency) || this.concurrency < 1) {
+            throw new Error(`Invalid concurrency: ${this.concurrency}`);
+        }
+        if (this.max !== Infinity && (!Number.isInteger(this.max) || this.max < 0)) {
+            throw new Error(`Invalid queue max: ${this.max}`);
+        }
+        if (!QUEUE_OVERFLOWS.includes(this.overflow)) {
+            throw new Error(`Invalid queue overflow: ${this.overflow}`);
+        }
+    }
+
+    #waiting = new Waiting();
+
+    /** @type {number} */
+    #running = 0;
+
+    /**
+     * Calls waiting for a slot, oldest first
+     * @type {Settle[]}
+     */
+    #queue = [];
+
+    /**
+     * Calls waiting for room in the queue (`wait` overflow)
+     * @type {Settle[]}
+     */
+    #backlog = [];
+
+    /**
+     * Number of calls running
+     * @returns {number}
+     */
+    get running() {
+        return this.#running;
+    }
+
+    /**
+     * Number of calls waiting in the queue
+     * @returns {number}
+     */
+    get queued() {
+        return this.#queue.length;
+    }
+
+    /**
+     * Number of calls waiting for room in a full queue (`wait` overflow)
+     * @returns {number}
+     */
+    get waiting() {
+        return this.#backlog.length;
+    }
+
+    /**
+     * @param {AbortSignal} signal
+     * @returns {Promise<string|null>}
+     */
+    async acquire(signal) {
+        if (this.#running < this.concurrency && this.#queue.length === 0 && this.#backlog.length === 0) {
+            this.#running++;
+            return null;
+        }
+
+        const { promise, settle } = this.#waiting.hold(signal);
+
+        if (this.#queue.length < this.max) {
+            this.#queue.push(settle);
+        } else if (this.overflow === 'wait') {
+            this.#backlog.push(settle);
+        } else if (this.overflow === 'drop-oldest' && this.max > 0) {
+            this.#queue.shift()?.('queue-full');
+            this.#queue.push(settle);
+        } else {
+            settle('queue-full');
+            if (this.overflow === 'error') {
+                throw new Error(`Listener queue full (${this.max} waiting) for pattern: ${this.pattern}`);
+            }
+        }
+
+        const result = await promise;
+        // Aborted while waiting: leave the queue, making room for the backlog
+        for (const list of [this.#queue, this.#backlog]) {
+            const index = list.indexOf(settle);
+            if (index !== -1) list.splice(index, 1);
+        }
+        this.#next();
+        return result;
+    }
+
+    /**
+     * Free the slot of a finished call
+     */
+    release() {
+        this.#running--;
+        this.#next();
+    }
+
+    #next() {
+        while (this.#running < this.concurrency) {
+            // Without room in the queue (`max: 0`), a freed slot goes straight to the backlog
+            const settle = this.#queue.shift() ?? (this.max === 0 ? this.#backlog.shift() : undefined);
+            if (!settle) break;
+            // Calls aborted meanwhile are already settled and take no slot
+            if (settle(null)) this.#running++;
+        }
+        while (this.#backlog.length > 0 && this.#queue.length < this.max) {
+            this.#queue.push(/** @type {Settle} */ (this.#backlog.shift()));
+        }
+    }
+
+    destroy() {
+        this.#queue = [];
+        this.#backlog = [];
+        this.#waiting.settleAll('destroyed');
+    }
+}
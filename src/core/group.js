@@ -0,0 +1,89 @@
+/**
+ * @typedef {'round-robin'|'least-busy'|'key-hash'} ConsumerStrategy
+ * - `round-robin`: members take turns (default)
+ * - `least-busy`: the member with the fewest calls in flight; ties go to the earliest registered
+ * - `key-hash`: the same payload key always goes to the same member (while membership doesn't change)
+ */
+
+/**
+ * @typedef {Object} ConsumerGroupOptions
+ * @property {string} name
+ * @property {ConsumerStrategy} [strategy='round-robin']
+ * @property {string|((event: import('./event').PulseEvent) => any)} [key] - `key-hash` only: payload field, or a function returning the key
+ */
+
+/** @type {ConsumerStrategy[]} */
+const STRATEGIES = ['round-robin', 'least-busy', 'key-hash'];
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} value
+ * @returns {number}
+ */
+const hash = (value) => {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        h ^= value.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+};
+
+/**
+ * Listeners sharing a `consumerGroup`: each emit goes to only one of the members matching its topic
+ */
+export class ConsumerGroup {
+    /**
+     * @param {ConsumerGroupOptions} options
+     */
+    constructor(options) {
+        this.name = options.name;
+        /** @type {ConsumerStrategy} */
+        this.strategy = options.strategy ?? 'round-robin';
+        this.key = options.key;
+
+        if (typeof this.name !== 'string' || this.name === '') {
+            throw new Error(`Invalid consumer group name: ${this.name}`);
+        }
+        if (!STRATEGIES.includes(this.strategy)) {
+            throw new Error(`Invalid consumer group strategy: ${this.strategy}`);
+        }
+        if (this.strategy === 'key-hash' && this.key === undefined) {
+            throw new Error(`Consumer group ${this.name} needs a key for the key-hash strategy`);
+        }
+
+        /** @type {Set<import('./listener').Listener<any>>} */
+        this.members = new Set();
+    }
+
+    /** @type {number} */
+    #cursor = 0;
+
+    /**
+     * Whether options given by a new member agree with the group's
+     * @param {ConsumerGroupOptions} options
+     * @returns {boolean}
+     */
+    accepts(options) {
+        return (options.strategy ?? 'round-robin') === this.strategy && options.key === this.key;
+    }
+
+    /**
+     * Choose the member that gets the event
+     * @param {import('./event').PulseEvent} event
+     * @param {import('./listener').Listener<any>[]} candidates - Members matching the topic, in registration order
+     * @returns {import('./listener').Listener<any>}
+     */
+    pick(event, candidates) {
+        if (candidates.length === 1 || this.strategy === 'round-robin') {
+            return /** @type {import('./listener').Listener<any>} */ (candidates[this.#cursor++ % candidates.length]);
+        }
+
+        if (this.strategy === 'least-busy') {
+            return candidates.reduce((best, candidate) => candidate.active < best.active ? candidate : best);
+        }
+
+        const key = typeof this.key === 'function' ? this.key(event) : event.data?.[/** @type {string} */ (this.key)];
+        return /** @type {import('./listener').Listener<any>} */ (candidates[hash(String(key)) % candidates.length]);
+    }
+}
@@ -0,0 +1,112 @@
+/**
+ * @typedef {Object} HistoryOptions
+ * @property {number} [size=1000] - Maximum number of events kept
+ * @property {number} [maxAge] - Maximum age of kept events, in milliseconds
+ */
+
+/**
+ * @typedef {Object} HistoryQuery
+ * @property {number|Date} [since] - Only events emitted at or after this time
+ * @property {number|Date} [until] - Only events emitted at or before this time
+ * @property {number} [limit] - Only the most recent matching events
+ */
+
+/**
+ * Ring buffer of recently emitted events, capped by count and/or age
+ * @template {import('./event').PulseEvent} [TEvent=import('./event').PulseEvent]
+ */
+export class EventHistory {
+    /**
+     * @param {HistoryOptions} [options]
+     */
+    constructor(options = {}) {
+        this.capacity = options.size ?? 1000;
+        this.maxAge = options.maxAge;
+
+        if (!Number.isInteger(this.capacity) || this.capacity <= 0) {
+            throw new Error(`Invalid history size: ${this.capacity}`);
+        }
+
+        /** @type {(TEvent|undefined)[]} */
+        this.#buffer = new Array(this.capacity);
+    }
+
+    /** @type {(TEvent|undefined)[]} */
+    #buffer;
+
+    /** Index of the oldest event */
+    #head = 0;
+
+    /** @type {number} */
+    #length = 0;
+
+    /**
+     * Number of events currently kept
+     * @returns {number}
+     */
+    get size() {
+        this.#prune();
+        return this.#length;
+    }
+
+    /**
+     * @param {TEvent} event
+     */
+    add(event) {
+        if (this.#length === this.capacity) {
+            // Full: overwrite the oldest event
+            this.#buffer[this.#head] = event;
+            this.#head = (this.#head + 1) % this.capacity;
+        } else {
+            this.#buffer[(this.#head + this.#length) % this.capacity] = event;
+            this.#length++;
+        }
+        this.#prune();
+    }
+
+    /**
+     * Kept events matching the query, oldest first
+     * @param {(event: TEvent) => boolean} predicate
+     * @param {HistoryQuery} [query]
+     * @returns {TEvent[]}
+     */
+    query(predicate, query = {}) {
+        this.#prune();
+
+        const since = query.since === undefined ? -Infinity : Number(query.since);
+        const until = query.until === undefined ? Infinity : Number(query.until);
+
+        /** @type {TEvent[]} */
+        const events = [];
+        for (let i = 0; i < this.#length; i++) {
+            const event = /** @type {TEvent} */ (this.#buffer[(this.#head + i) % this.capacity]);
+            if (event.timestamp >= since && event.timestamp <= until && predicate(event)) {
+                events.push(event);
+            }
+        }
+
+        return query.limit === undefined ? events : events.slice(Math.max(0, events.length - query.limit));
+    }
+
+    /**
+     * Forget every event
+     */
+    clear() {
+        this.#buffer = new Array(this.capacity);
+        this.#head = 0;
+        this.#length = 0;
+    }
+
+    /**
+     * Drop events older than maxAge, starting from the oldest
+     */
+    #prune() {
+        if (this.maxAge === undefined) return;
+        const limit = Date.now() - this.maxAge;
+        while (this.#length > 0 && /** @type {TEvent} */ (this.#buffer[this.#head]).timestamp < limit) {
+            this.#buffer[this.#head] = undefined;
+            this.#head = (this.#head + 1) % this.capacity;
+            this.#length--;
+        }
+    }
+}
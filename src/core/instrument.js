@@ -0,0 +1,278 @@
+/**
+ * @typedef {import('./event').PulseEvent} PulseEvent
+ * @typedef {import('./listener').Listener<any>} Listener
+ * @typedef {import('./middleware').Middleware<any>} Middleware
+ */
+
+/**
+ * Times are milliseconds since epoch, with sub-millisecond precision
+ * @typedef {Object} EmitStartInfo
+ * @property {PulseEvent} event
+ * @property {number} startTime
+ */
+
+/**
+ * @typedef {Object} EmitEndInfo
+ * @property {PulseEvent} event
+ * @property {number} startTime
+ * @property {number} endTime
+ * @property {number} duration
+ * @property {number} listeners - Number of listeners the event was delivered to
+ */
+
+/**
+ * @typedef {Object} ListenerStartInfo
+ * @property {PulseEvent} event
+ * @property {Listener} listener
+ * @property {number} startTime - When the delivery started, before flow control gates and queues
+ */
+
+/**
+ * @typedef {Object} ListenerEndInfo
+ * @property {PulseEvent} event
+ * @property {Listener} listener
+ * @property {import('./listener').ListenerOutcome} outcome
+ * @property {number} attempts - Number of calls made, retries included (0 when skipped before any call)
+ * @property {boolean} timedOut - The last attempt hit the listener timeout
+ * @property {number} startTime
+ * @property {number} endTime
+ * @property {number} duration
+ */
+
+/**
+ * @typedef {Object} MiddlewareInfo
+ * @property {PulseEvent} event
+ * @property {Middleware} middleware
+ * @property {Listener|null} listener - The wrapped listener, or null for event-scoped middlewares
+ * @property {boolean} passed - Whether the middleware called next()
+ * @property {Error} [error] - Thrown by the middleware
+ * @property {number} startTime
+ * @property {number} endTime
+ * @property {number} duration - Includes the rest of the chain when next() was awaited
+ */
+
+/**
+ * Callbacks reporting what happens inside emit(). Every hook is optional; a throwing hook is ignored.
+ * @typedef {Object} InstrumentationHooks
+ * @property {(info: EmitStartInfo) => void} [onEmitStart]
+ * @property {(info: EmitEndInfo) => void} [onEmitEnd] - Called once the event settled, dead-letter routing included
+ * @property {(info: ListenerStartInfo) => void} [onListenerStart]
+ * @property {(info: ListenerEndInfo) => void} [onListenerEnd]
+ * @property {(info: MiddlewareInfo) => void} [onMiddleware] - Called when a middleware returns or throws
+ */
+
+/**
+ * Current time in milliseconds since epoch, with sub-millisecond precision
+ * @returns {number}
+ */
+export const now = () => performance.timeOrigin + performance.now();
+
+/**
+ * @param {number} bytes
+ * @returns {string}
+ */
+const randomHex = (bytes) => Array.from(crypto.getRandomValues(new Uint8Array(bytes)), byte => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * @typedef {'UNSET'|'OK'|'ERROR'} SpanStatusCode
+ */
+
+/**
+ * A finished span, shaped like an OpenTelemetry ReadableSpan
+ * @typedef {Object} Span
+ * @property {string} traceId - 32 hex characters, shared by the events of a cascade (same `correlationId`)
+ * @property {string} spanId - 16 hex characters
+ * @property {string} [parentSpanId]
+ * @property {string} name - `emit <topic>`, `listener <pattern>` or `middleware <pattern>`
+ * @property {'PRODUCER'|'CONSUMER'|'INTERNAL'} kind - Emits produce, listeners consume, middlewares are internal
+ * @property {number} startTime
+ * @property {number} endTime
+ * @property {number} duration
+ * @property {Record<string, string|number|boolean>} attributes
+ * @property {{ code: SpanStatusCode, message?: string }} status
+ * @property {{ name: string, time: number, attributes: Record<string, string> }[]} events - `exception` events for errors
+ */
+
+/**
+ * @typedef {Object} SpanRecorderOptions
+ * @property {number} [limit=1000] - Number of finished spans kept; the oldest are dropped first
+ * @property {(span: Span) => void} [onSpan] - Called with each finished span, e.g. to export it
+ */
+
+/**
+ * Instrumentation hooks recording OpenTelemetry-shaped spans in memory, no collector needed:
+ * one span per emit, with a child span per listener and per middleware.
+ * @implements {InstrumentationHooks}
+ */
+export class SpanRecorder {
+    /**
+     * @param {SpanRecorderOptions} [options]
+     */
+    constructor(options = {}) {
+        this.limit = options.limit ?? 1000;
+        this.onSpan = options.onSpan;
+
+        if (this.limit !== Infinity && (!Number.isInteger(this.limit) || this.limit < 1)) {
+            throw new Error(`Invalid span limit: ${this.limit}`);
+        }
+
+        /**
+         * Finished spans, oldest first
+         * @type {Span[]}
+         */
+        this.spans = [];
+    }
+
+    /**
+     * Trace id per correlation id, and the number of emit spans open in that trace
+     * @type {Map<string, { traceId: string, open: number }>}
+     */
+    #traces = new Map();
+
+    /**
+     * Open emit spans by event id; they also parent the spans of caused events
+     * @type {Map<string, Span>}
+     */
+    #emits = new Map();
+
+    /**
+     * Open listener spans of each event
+     * @type {WeakMap<PulseEvent, Map<Listener, Span>>}
+     */
+    #listeners = new WeakMap();
+
+    /**
+     * @param {PulseEvent} event
+     * @param {string} name
+     * @param {Span['kind']} kind
+     * @param {number} startTime
+     * @param {Span|undefined} parent
+     * @returns {Span}
+     */
+    #open(event, name, kind, startTime, parent) {
+        return {
+            traceId: parent?.traceId ?? this.#traces.get(event.correlationId)?.traceId ?? randomHex(16),
+            spanId: randomHex(8),
+            ...(parent && { parentSpanId: parent.spanId }),
+            name,
+            kind,
+            startTime,
+            endTime: startTime,
+            duration: 0,
+            attributes: {
+                'pulse.topic': event.topic,
+                'pulse.event.id': event.id,
+                'pulse.correlation_id': event.correlationId,
+            },
+            status: { code: 'UNSET' },
+            events: [],
+        };
+    }
+
+    /**
+     * @param {Span} span
+     * @param {{ endTime: number, duration: number }} info
+     * @param {Error} [error]
+     */
+    #close(span, info, error) {
+        span.endTime = info.endTime;
+        span.duration = info.duration;
+        if (error) {
+            span.status = { code: 'ERROR', message: error.message };
+            span.events.push({
+                name: 'exception',
+                time: info.endTime,
+                attributes: { 'exception.type': error.name, 'exception.message': error.message },
+            });
+        } else if (span.status.code === 'UNSET') {
+            span.status = { code: 'OK' };
+        }
+
+        this.spans.push(span);
+        if (this.spans.length > this.limit) this.spans.shift();
+        this.onSpan?.(span);
+    }
+
+    /**
+     * @param {EmitStartInfo} info
+     */
+    onEmitStart({ event, startTime }) {
+        // Caused events nest under the emit span of their cause, when it is still open
+        const parent = event.causationId ? this.#emits.get(event.causationId) : undefined;
+        const span = this.#open(event, `emit ${event.topic}`, 'PRODUCER', startTime, parent);
+        span.attributes['pulse.depth'] = event.depth;
+        if (event.causationId) span.attributes['pulse.causation_id'] = event.causationId;
+        this.#emits.set(event.id, span);
+
+        const trace = this.#traces.get(event.correlationId);
+        if (trace) trace.open++;
+        else this.#traces.set(event.correlationId, { traceId: span.traceId, open: 1 });
+    }
+
+    /**
+     * @param {EmitEndInfo} info
+     */
+    onEmitEnd(info) {
+        const { event } = info;
+        const span = this.#emits.get(event.id);
+        if (!span) return;
+        this.#emits.delete(event.id);
+        // Nothing left open in this cascade: forget its trace id
+        const trace = this.#traces.get(event.correlationId);
+        if (trace && --trace.open === 0) this.#traces.delete(event.correlationId);
+
+        span.attributes['pulse.listeners'] = info.listeners;
+        span.attributes['pulse.errors'] = event.errors.length;
+        this.#close(span, info, event.errors[0]);
+    }
+
+    /**
+     * @param {ListenerStartInfo} info
+     */
+    onListenerStart({ event, listener, startTime }) {
+        const span = this.#open(event, `listener ${listener.pattern}`, 'CONSUMER', startTime, this.#emits.get(event.id));
+        span.attributes['pulse.listener.pattern'] = listener.pattern;
+        if (listener.name) span.attributes['pulse.listener.name'] = listener.name;
+
+        let open = this.#listeners.get(event);
+        if (!open) this.#listeners.set(event, open = new Map());
+        open.set(listener, span);
+    }
+
+    /**
+     * @param {ListenerEndInfo} info
+     */
+    onListenerEnd(info) {
+        const { event, listener, outcome } = info;
+        const open = this.#listeners.get(event);
+        const span = open?.get(listener);
+        if (!span) return;
+        open?.delete(listener);
+
+        span.attributes['pulse.outcome'] = outcome.status;
+        span.attributes['pulse.attempts'] = info.attempts;
+        span.attributes['pulse.timed_out'] = info.timedOut;
+        if (outcome.status === 'skipped') span.attributes['pulse.skip_reason'] = outcome.reason;
+        this.#close(span, info, outcome.status === 'rejected' ? outcome.reason : undefined);
+    }
+
+    /**
+     * @param {MiddlewareInfo} info
+     */
+    onMiddleware(info) {
+        const { event, middleware, listener } = info;
+        const parent = listener ? this.#listeners.get(event)?.get(listener) : this.#emits.get(event.id);
+        const span = this.#open(event, `middleware ${middleware.pattern}`, 'INTERNAL', info.startTime, parent);
+        span.attributes['pulse.middleware.pattern'] = middleware.pattern;
+        span.attributes['pulse.middleware.scope'] = middleware.scope;
+        span.attributes['pulse.middleware.passed'] = info.passed;
+        this.#close(span, info, info.error);
+    }
+
+    /**
+     * Forget the recorded spans
+     */
+    clear() {
+        this.spans = [];
+    }
+}
@@ -1,17 +1,92 @@
+import { PulseValidationError } from './errors.js';
+import { Debounce, Throttle, RateLimit, ConcurrencyLimit } from './flow.js';
+import { Batch } from './batch.js';
+
 /**
 * @typedef {Object} ListenerOptions
 * @property {boolean} [once] - If true, the listener will be removed after it is called once.
+* @property {number} [priority=0] - Listeners with a higher priority run first.
+* @property {AbortSignal} [signal] - The listener will be removed when this signal aborts.
+* @property {boolean} [replayRetained=true] - If true, retained events matching the pattern are delivered right after subscribing.
+* @property {number} [timeout] - Time in milliseconds to wait for each call, overriding the emit timeout.
+* @property {RetryOptions} [retry] - Retry failed calls within the same emit.
+* @property {number} [debounce] - Only call the listener once no event arrived for this many milliseconds, with the last event.
+* @property {number|import('./flow').ThrottleOptions} [throttle] - Call the listener at most once per interval.
+* @property {import('./flow').RateLimitOptions} [rateLimit] - Cap the calls per sliding window, dropping or queueing the rest.
+* @property {number} [concurrency] - Maximum number of calls running at once; the others wait in a FIFO queue.
+* @property {import('./flow').QueueOptions} [queue] - Bounds the queue of calls waiting for a slot (implies `concurrency: 1` when not set).
+* @property {import('./batch').BatchOptions} [batch] - Call the listener with arrays of events instead of one event at a time.
+* @property {string|import('./group').ConsumerGroupOptions} [consumerGroup] - Competing consumers: each emit goes to only one member of the group.
+* @property {any} [group] - Tag shared by the listeners and middlewares of one owner, removed together with `pulse.offGroup(group)`.
+* @property {string} [name] - Label identifying the listener in `event.results`, errors and traces.
 * @property {Object} [autodestroy]
 * @property {Number} [autodestroy.timeout] - The time in milliseconds to wait before the listener is removed.
 * @property {Number} [autodestroy.calls] - The number of calls to the listener before it is removed.
 */
 
+/**
+* @typedef {Object} RetryOptions
+* @property {number} [attempts=3] - Total number of calls, the first one included.
+* @property {'fixed'|'exponential'} [backoff='fixed'] - `exponential` doubles the delay after each attempt.
+* @property {number} [delay=100] - Time in milliseconds before the first retry.
+* @property {(error: Error, attempt: number) => boolean} [retryOn] - Whether a failed attempt should be retried (all failures by default).
+*/
+
+/**
+ * One call of a listener for an event, recorded in `event.attempts`
+ * @typedef {Object} ListenerAttempt
+ * @property {Listener<any>} listener
+ * @property {string} pattern
+ * @property {number} attempt - 1 for the first call
+ * @property {'fulfilled'|'rejected'|'skipped'} status
+ * @property {Error} [error] - Why a rejected attempt failed
+ * @property {number} duration - In milliseconds
+ */
+
+/**
+ * How a listener's delivery ended for an event, recorded in `event.results` (retries included)
+ * @typedef {Object} ListenerResult
+ * @property {Listener<any>} listener
+ * @property {string} pattern
+ * @property {string|null} name - The listener's `name` option
+ * @property {'fulfilled'|'rejected'|'timeout'|'skipped'} status
+ * @property {any} [value] - What a fulfilled listener returned
+ * @property {import('./errors').PulseListenerError} [error] - Why a rejected or timed out listener failed
+ * @property {string} [reason] - Why a skipped listener did not run
+ * @property {number} duration - In milliseconds, from delivery to settlement (waiting in flow control included)
+ */
+
+/**
+ * What `pulse.inspect()` and `pulse.explain()` report about a listener
+ * @typedef {Object} ListenerSnapshot
+ * @property {string} pattern
+ * @property {string|null} name
+ * @property {number} priority
+ * @property {any} group
+ * @property {string|null} consumerGroup - Name of the consumer group the listener belongs to
+ * @property {number} calls - Calls made so far (a batch counts once)
+ * @property {number} active - Deliveries in flight
+ * @property {{ calls: number|null, timeout: number|null }} remaining - Autodestroy budget left: calls, and milliseconds before removal (null when unlimited)
+ * @property {{ running: number, queued: number, waiting: number }|null} queue - Concurrency limit state, when the listener has one
+ * @property {number} batched - Events buffered for the next batch
+ * @property {ListenerOptions} options - A copy of the options given to on()
+ */
+
+/**
+ * How a listener call ended, in the spirit of Promise.allSettled()
+ * @typedef {{ status: 'fulfilled', value: any }
+ *     | { status: 'rejected', reason: Error }
+ *     | { status: 'skipped', reason: string }} ListenerOutcome
+ */
+
 /**
  * @template {import('./event').PulseEvent} [TEvent=import('./event').PulseEvent]
  * @typedef {Object} ListenerContext
  * @property {import('./pulse').Pulse} pulse
  * @property {TEvent} event
  * @property {Listener<TEvent>} listener
+ * @property {AbortSignal} signal - Aborted when the listener times out or the emit is cancelled
+ * @property {TEvent[]} [events] - Batched listeners only: the buffered events, oldest first (`event` is the last one)
  */
 
 /**
@@ -30,15 +105,91 @@ export class Listener {
         this.#callback = callback;
         this.options = options;
 
+        /** @type {number} */
+        this.priority = options?.priority ?? 0;
+        /** @type {any} */
+        this.group = options?.group;
+        /** @type {string|null} */
+        this.name = options?.name ?? null;
+
+        if (this.name !== null && (typeof this.name !== 'string' || this.name === '')) {
+            throw new Error(`Invalid listener name: ${this.name}`);
+        }
+
+        if (options?.timeout !== undefined && !(options.timeout > 0)) {
+            throw new Error(`Invalid listener timeout: ${options.timeout}`);
+        }
+
+        /** @type {Required<RetryOptions>|null} */
+        this.retry = options?.retry ? {
+            attempts: 3,
+            backoff: 'fixed',
+            delay: 100,
+            retryOn: () => true,
+            ...options.retry,
+        } : null;
+
+        if (this.retry) {
+            if (!Number.isInteger(this.retry.attempts) || this.retry.attempts < 1) {
+                throw new Error(`Invalid retry attempts: ${this.retry.attempts}`);
+            }
+            if (this.retry.backoff !== 'fixed' && this.retry.backoff !== 'exponential') {
+                throw new Error(`Invalid retry backoff: ${this.retry.backoff}`);
+            }
+        }
+
         this.calls = 0;
         this.timeout = null;
+        /** @type {number} */
+        this.createdAt = Date.now();
+
+        /**
+         * Deliveries in flight (waiting in flow control or running)
+         * @type {number}
+         */
+        this.active = 0;
+
+        /**
+         * Set by pulse.on() when the listener joins a consumer group
+         * @type {import('./group').ConsumerGroup|null}
+         */
+        this.consumerGroup = null;
 
+        /**
+         * Called once the listener is removed; set by the ScopedPulse that registered it
+         * @type {(() => void)|null}
+         */
+        this.onDestroy = null;
+
+        /**
+         * Flow control (debounce, throttle, rate limit) applied before each call
+         * @type {import('./flow').FlowGate[]}
+         */
+        this.gates = [];
+        if (options?.debounce !== undefined) this.gates.push(new Debounce(options.debounce));
+        if (options?.throttle !== undefined) this.gates.push(new Throttle(options.throttle));
+        if (options?.rateLimit !== undefined) this.gates.push(new RateLimit(options.rateLimit));
+
+        /**
+         * Concurrency limit and queue, acquired after the other gates and released once the call settled
+         * @type {ConcurrencyLimit|null}
+         */
+        this.limiter = options?.concurrency !== undefined || options?.queue !== undefined
+            ? new ConcurrencyLimit(options.concurrency ?? 1, options.queue, pattern)
+            : null;
+
+        /** @type {Batch<TEvent>|null} */
+        this.batch = options?.batch ? new Batch(options.batch, this.#callBatch) : null;
+
+        // Timers and subscriptions last, once every option is known to be valid
         if (this.options?.autodestroy?.timeout) {
             this.timeout = setTimeout(() => {
                 this.destroy();
             }, this.options.autodestroy.timeout);
         }
 
+        this.options?.signal?.addEventListener('abort', this.destroy, { once: true });
+
         if (this.options?.once) {
             this.options.autodestroy ??= {};
             this.options.autodestroy.calls = 1;
@@ -48,26 +199,153 @@ export class Listener {
     /** @type {(context: ListenerContext<TEvent>) => any} */
     #callback;
 
-    /** @param {TEvent} event */
-    call = async (event) => {
+    /**
+     * The function given to on()
+     * @returns {(context: ListenerContext<TEvent>) => any}
+     */
+    get callback() {
+        return this.#callback;
+    }
+
+    /**
+     * Go through the flow-control gates, then take a concurrency slot (to release once the call settled)
+     * @param {AbortSignal} signal - Aborted when the emit is cancelled
+     * @returns {Promise<string|null>} Null when the call can run now, otherwise why it was skipped
+     * @throws {Error} When the queue is full and its overflow policy is `error`
+     */
+    async admit(signal) {
+        for (const gate of this.gates) {
+            const skipped = await gate.acquire(signal);
+            if (skipped !== null) return skipped;
+        }
+        return this.limiter ? this.limiter.acquire(signal) : null;
+    }
+
+    /**
+     * @param {TEvent} event
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<ListenerOutcome>}
+     */
+    call = async (event, signal = new AbortController().signal) => {
+        if (this.batch) return this.batch.push(event, signal);
+
+        this.#count();
+        return Promise.resolve(this.#callback({event, pulse: this.pulse, listener: this, signal})).then(
+            res => this.#fulfill(event, signal, res),
+            err => this.#reject(event, signal, err)
+        );
+    };
+
+    /**
+     * Call the callback once for a batch, then map the returned array back to each event:
+     * the value at index i is the response of events[i]. A thrown error is recorded on every event.
+     * @param {import('./batch').BatchEntry<TEvent>[]} entries
+     */
+    #callBatch = async (entries) => {
+        // Aborted once every delivery of the batch was abandoned
+        const controller = new AbortController();
+        let remaining = entries.length;
+        for (const { signal } of entries) {
+            signal.addEventListener('abort', () => {
+                if (--remaining === 0) controller.abort(signal.reason);
+            }, { once: true });
+        }
+
+        this.#count();
+        const events = entries.map(entry => entry.event);
+        try {
+            const res = await this.#callback({
+                event: /** @type {TEvent} */ (events[events.length - 1]),
+                events,
+                pulse: this.pulse,
+                listener: this,
+                signal: controller.signal,
+            });
+            entries.forEach((entry, index) => entry.resolve(this.#fulfill(entry.event, entry.signal, Array.isArray(res) ? res[index] : undefined)));
+        } catch (err) {
+            for (const entry of entries) entry.resolve(this.#reject(entry.event, entry.signal, err));
+        }
+    };
+
+    /**
+     * Count a call, destroying the listener once its call budget is spent
+     */
+    #count() {
         // Increment synchronously before async execution to prevent race conditions
         this.calls++;
         if (this.options?.autodestroy?.calls && this.calls >= this.options.autodestroy.calls) {
             this.destroy();
         }
-        return Promise.resolve(this.#callback({event, pulse: this.pulse, listener: this})).then(res => {
-            if (res !== undefined && res !== null) {
-                event.respond(res);
-            }
-        }).catch(err => {
-            event.error(err);
-        });
-    };
+    }
+
+    /**
+     * @param {TEvent} event
+     * @param {AbortSignal} signal
+     * @param {any} res
+     * @returns {ListenerOutcome}
+     */
+    #fulfill(event, signal, res) {
+        // Timed out or cancelled: the call was abandoned, a late result must not reach the event
+        if (signal.aborted) return { status: 'skipped', reason: 'aborted' };
+        if (res !== undefined && res !== null) {
+            const issues = this.pulse.validate(event.topic, res, 'response');
+            if (issues.length > 0) return this.#reject(event, signal, new PulseValidationError(event.topic, issues, 'response'));
+            event.respond(res);
+        }
+        return { status: 'fulfilled', value: res };
+    }
+
+    /**
+     * @param {TEvent} event
+     * @param {AbortSignal} signal
+     * @param {any} err
+     * @returns {ListenerOutcome}
+     */
+    #reject(event, signal, err) {
+        if (signal.aborted) return { status: 'skipped', reason: 'aborted' };
+        event.error(err);
+        return { status: 'rejected', reason: err };
+    }
+
+    /**
+     * Snapshot of the listener's settings and state
+     * @returns {ListenerSnapshot}
+     */
+    inspect() {
+        const { calls, timeout } = this.options?.autodestroy ?? {};
+        return {
+            pattern: this.pattern,
+            name: this.name,
+            priority: this.priority,
+            group: this.group,
+            consumerGroup: this.consumerGroup?.name ?? null,
+            calls: this.calls,
+            active: this.active,
+            remaining: {
+                calls: calls ? Math.max(0, calls - this.calls) : null,
+                timeout: timeout ? Math.max(0, this.createdAt + timeout - Date.now()) : null,
+            },
+            queue: this.limiter
+                ? { running: this.limiter.running, queued: this.limiter.queued, waiting: this.limiter.waiting }
+                : null,
+            batched: this.batch?.pending ?? 0,
+            options: { ...this.options },
+        };
+    }
 
     destroy = () => {
         if (this.timeout) {
             clearTimeout(this.timeout);
         }
+        for (const gate of this.gates) gate.destroy();
+        this.limiter?.destroy();
+        this.batch?.flush();
+        this.options?.signal?.removeEventListener('abort', this.destroy);
+        this.pulse.listenerIndex.remove(this.pattern, this);
+        if (this.consumerGroup) {
+            this.consumerGroup.members.delete(this);
+            if (this.consumerGroup.members.size === 0) this.pulse.consumerGroups.delete(this.consumerGroup.name);
+        }
         const set = this.pulse.listeners.get(this.pattern);
         if (set) {
             set.delete(this);
@@ -75,5 +353,8 @@ export class Listener {
                 this.pulse.listeners.delete(this.pattern);
             }
         }
+        const onDestroy = this.onDestroy;
+        this.onDestroy = null;
+        onDestroy?.();
     }
 }
\ No newline at end of file
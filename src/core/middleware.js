@@ -9,10 +9,40 @@
 * @returns {Promise<void>}
 */
 
+/**
+* @typedef {'listener'|'event'} MiddlewareScope
+* - `listener`: the chain runs once per matching listener, around that listener (default)
+* - `event`: the chain runs once per emit, around the whole dispatch
+*/
+
+/**
+* @typedef {Object} MiddlewareOptions
+* @property {MiddlewareScope} [scope='listener'] - When the middleware runs
+* @property {any} [group] - Tag shared by the listeners and middlewares of one owner, removed together with `pulse.offGroup(group)`
+*/
+
+/**
+* @template {PulseEvent} [TEvent=PulseEvent]
+* @typedef {Object} MiddlewareContext
+* @property {Pulse} pulse
+* @property {TEvent} event
+* @property {import('./listener').Listener<TEvent>|null} listener - The listener being wrapped, or null for event-scoped middlewares
+* @property {AbortSignal} signal - The listener's signal, or the emit's signal for event-scoped middlewares
+*/
+
+/**
+* What `pulse.inspect()` and `pulse.explain()` report about a middleware
+* @typedef {Object} MiddlewareSnapshot
+* @property {string} pattern
+* @property {MiddlewareScope} scope
+* @property {any} group
+* @property {number} order - Position in registration order, which is also the order of the chain
+*/
+
 /**
 * @template {PulseEvent} [TEvent=PulseEvent]
 * @callback MiddlewareCallback
-* @param {import('./listener').ListenerContext<TEvent>} context
+* @param {MiddlewareContext<TEvent>} context
 * @param {NextCallback<TEvent>} next
 * @returns {Promise<any>}
 */
@@ -25,11 +55,27 @@ export class Middleware {
     * @param {import('./pulse').Pulse} pulse
     * @param {String} pattern
     * @param {MiddlewareCallback<TEvent>} callback
+    * @param {MiddlewareOptions} [options]
     */
-    constructor(pulse, pattern, callback) {
+    constructor(pulse, pattern, callback, options = {}) {
         this.pulse = pulse;
         this.pattern = pattern;
         this.callback = callback;
+
+        /** @type {MiddlewareScope} */
+        this.scope = options.scope ?? 'listener';
+        if (this.scope !== 'listener' && this.scope !== 'event') {
+            throw new Error(`Invalid middleware scope: ${this.scope}`);
+        }
+
+        /** @type {any} */
+        this.group = options.group;
+
+        /**
+         * Called once the middleware is removed; set by the ScopedPulse that registered it
+         * @type {(() => void)|null}
+         */
+        this.onDestroy = null;
     }
     
     /**
@@ -40,10 +86,24 @@ export class Middleware {
         return this.pulse.matchesPattern(topic, this.pattern);
     }
 
+    /**
+    * @returns {MiddlewareSnapshot}
+    */
+    inspect() {
+        return {
+            pattern: this.pattern,
+            scope: this.scope,
+            group: this.group,
+            order: this.pulse.middlewares.indexOf(this),
+        };
+    }
+
     destroy() {
         this.pulse.middlewares = this.pulse.middlewares.filter(middleware => middleware !== this);
+        this.pulse.middlewareIndex.remove(this.pattern, this);
         this.destroy = () => {
             throw new Error('Middleware already destroyed');
         };
+        this.onDestroy?.();
     }
 }
\ No newline at end of file
@@ -1,13 +1,112 @@
 import { PulseEvent } from './event.js';
 import { Listener } from './listener.js';
 import { Middleware } from './middleware.js';
+import { TopicTrie } from './trie.js';
+import { PulseStream } from './stream.js';
+import { PulseRequestError, PulseValidationError, PulseDepthError, PulseListenerError } from './errors.js';
+import { TopicDefinition, runValidator } from './schema.js';
+import { EventHistory } from './history.js';
+import { ScopedPulse } from './scope.js';
+import { ConsumerGroup } from './group.js';
+import { now } from './instrument.js';
+import { Bridge } from '../transports/bridge.js';
+
+/**
+ * @typedef {'parallel'|'sequential'|'priority-groups'} DispatchMode
+ * - `parallel`: every listener starts at once (default)
+ * - `sequential`: listeners run one after another, in priority order
+ * - `priority-groups`: listeners sharing a priority run in parallel, groups run one after another
+ */
 
 /**
  * @template {typeof PulseEvent} [TEventClass=typeof PulseEvent]
  * @typedef {Object} PulseOptions
  * @property {TEventClass} [EventClass] - Custom event class to use (must extend PulseEvent)
+ * @property {DispatchMode} [dispatch='parallel'] - Default dispatch mode for emits
+ * @property {boolean|import('./history').HistoryOptions} [history=false] - Keep recently emitted events (`true` keeps the last 1000)
+ * @property {string|((letter: DeadLetter) => any)} [deadLetter] - Topic or callback receiving unhandled and failed events
+ * @property {ValidationMode} [validation='reject'] - What emit() does with payloads rejected by `define()` validators
+ * @property {number} [maxDepth=100] - Deepest allowed chain of nested emits (see `parent`), to stop runaway loops
+ */
+
+/**
+ * @typedef {'reject'|'collect'} ValidationMode
+ * - `reject`: emit() throws a PulseValidationError
+ * - `collect`: emit() resolves with the error in `event.errors`; no listener runs
+ */
+
+/**
+ * @typedef {Object} EmitOptions
+ * @property {number} [timeout=5000] - Time in milliseconds to wait for each listener
+ * @property {boolean} [silent=false] - If true, the event will not collect responses or errors
+ * @property {string|null} [source=null] - Optional source identifier for the event
+ * @property {DispatchMode} [dispatch] - Overrides the Pulse dispatch mode for this emit
+ * @property {boolean} [cancelable=false] - If true, handlers can veto the event with preventDefault()
+ * @property {AbortSignal} [signal] - Cancels the dispatch when aborted
+ * @property {boolean} [retain=false] - Keep this event as the retained value of its topic
+ * @property {ValidationMode} [validation] - Overrides the Pulse validation mode for this emit
+ * @property {PulseEvent} [parent] - The event that caused this one (set by `event.emit()`); links correlationId, causationId and depth
+ * @property {string} [correlationId] - Correlation id for a new cascade, when there is no parent
+ */
+
+/**
+ * Per-emit dispatch settings, threaded through #dispatch and #deliver
+ * @typedef {Object} DispatchRun
+ * @property {number} timeout
+ * @property {DispatchMode} mode
+ * @property {AbortSignal} signal - Aborted when the emit is cancelled
+ * @property {boolean} cancelled - True when the dispatch was stopped silently (internal cancel hook)
+ * @property {{ listener: Listener<any>, outcome: import('./listener').ListenerOutcome }[]} outcomes - How each delivered listener ended
+ * @property {(event: any, listener: Listener<any>) => void} [onSettled] - Called after each listener settles
+ */
+
+/**
+ * Timings of one delivery, reported to the instrumentation hooks
+ * @typedef {Object} Delivery
+ * @property {number} startTime
+ * @property {number} attempts
+ * @property {boolean} timedOut
+ * @property {Promise<any>[]} calls - Every call made, including those a timeout abandoned while they kept running
+ */
+
+/**
+ * Payload handed to the dead-letter topic or callback
+ * @typedef {Object} DeadLetter
+ * @property {'unhandled'|'failed'} reason - No listener matched, or the event finished with errors
+ * @property {PulseEvent} event - The original event
+ * @property {Error[]} errors - The errors collected on the event
+ * @property {{ listener: Listener<any>, pattern: string, error: Error }[]} failed - The listeners that failed
+ */
+
+/**
+ * Snapshot returned by `pulse.inspect()`
+ * @typedef {Object} PulseSnapshot
+ * @property {{ pattern: string, listeners: number }[]} patterns - Patterns with listeners, and how many
+ * @property {import('./listener').ListenerSnapshot[]} listeners - By pattern, in registration order
+ * @property {import('./middleware').MiddlewareSnapshot[]} middlewares - In chain order
+ * @property {{ name: string, strategy: import('./group').ConsumerStrategy, members: number }[]} consumerGroups
+ * @property {string[]} retained - Topics with a retained event
+ */
+
+/**
+ * Dry run returned by `pulse.explain(topic)`: what an emit of the topic would go through, in order
+ * @typedef {Object} Explanation
+ * @property {string} topic
+ * @property {DispatchMode} dispatch
+ * @property {boolean} validated - Whether validators registered with define() apply to the topic
+ * @property {(import('./middleware').MiddlewareSnapshot & { middleware: Middleware<any> })[]} middlewares - Event-scoped first, then the chain run around each listener
+ * @property {(import('./listener').ListenerSnapshot & { listener: Listener<any> })[]} listeners - In dispatch order; only one member of each consumer group receives a given emit
  */
 
+/**
+ * AsyncLocalStorage where the runtime has one (Node, Bun, Deno). Loaded without a static import so browsers can load this module.
+ * @type {(new () => { run: <R>(store: boolean, callback: () => R) => R, getStore: () => boolean|undefined })|undefined}
+ */
+const AsyncLocalStorage = /** @type {any} */ (globalThis).process?.getBuiltinModule?.('node:async_hooks')?.AsyncLocalStorage;
+
+/** @type {DispatchMode[]} */
+const DISPATCH_MODES = ['parallel', 'sequential', 'priority-groups'];
+
 /**
  * @template {typeof PulseEvent} [TEventClass=typeof PulseEvent]
  */
@@ -21,8 +120,36 @@ export class Pulse {
         /** @type {import('./middleware').Middleware<InstanceType<TEventClass>>[]} */
         this.middlewares = [];
 
+        /**
+         * Listeners indexed by pattern section, kept in sync with `listeners`
+         * @type {TopicTrie<import('./listener').Listener<InstanceType<TEventClass>>>}
+         */
+        this.listenerIndex = new TopicTrie();
+        /**
+         * Middlewares indexed by pattern section, kept in sync with `middlewares`
+         * @type {TopicTrie<import('./middleware').Middleware<InstanceType<TEventClass>>>}
+         */
+        this.middlewareIndex = new TopicTrie();
+        /**
+         * Payload validators registered with define()
+         * @type {TopicTrie<TopicDefinition>}
+         */
+        this.definitionIndex = new TopicTrie();
+
+        /**
+         * Consumer groups by name, removed once their last member is
+         * @type {Map<string, ConsumerGroup>}
+         */
+        this.consumerGroups = new Map();
+
         this.#patternCache = new Map();
 
+        /**
+         * Last retained event per topic
+         * @type {Map<string, InstanceType<TEventClass>>}
+         */
+        this.retained = new Map();
+
         // Store the EventClass to use (default to PulseEvent)
         this.EventClass = options.EventClass || PulseEvent;
 
@@ -30,6 +157,78 @@ export class Pulse {
         if (this.EventClass !== PulseEvent && !(this.EventClass.prototype instanceof PulseEvent)) {
             throw new Error('EventClass must extend PulseEvent');
         }
+
+        /** @type {DispatchMode} */
+        this.dispatch = Pulse.#validateDispatchMode(options.dispatch ?? 'parallel');
+
+        /** @type {ValidationMode} */
+        this.validation = Pulse.#validateValidationMode(options.validation ?? 'reject');
+
+        /** @type {string|((letter: DeadLetter) => any)|undefined} */
+        this.deadLetter = options.deadLetter;
+        if (typeof this.deadLetter === 'string' && !this.isValidTopic(this.deadLetter)) {
+            throw new Error(`Invalid dead-letter topic: ${this.deadLetter}`);
+        }
+
+        /** @type {number} */
+        this.maxDepth = options.maxDepth ?? 100;
+        if (this.maxDepth !== Infinity && (!Number.isInteger(this.maxDepth) || this.maxDepth < 0)) {
+            throw new Error(`Invalid max depth: ${this.maxDepth}`);
+        }
+
+        if (options.history) {
+            this.#history = new EventHistory(options.history === true ? {} : options.history);
+        }
+    }
+
+    /** @type {EventHistory<InstanceType<TEventClass>>|null} */
+    #history = null;
+
+    /** True while a dead letter is being handed over */
+    #routingDeadLetter = false;
+
+    /**
+     * Marks the async context of dead-letter handling, so events emitted after an `await` in a handler are recognized too.
+     * Null without AsyncLocalStorage, where only synchronous emits and `parent` links are.
+     */
+    #deadLetterContext = AsyncLocalStorage ? new AsyncLocalStorage() : null;
+
+    /**
+     * Events emitted while a dead letter was being handed over, and the events they cause:
+     * they are never routed, so handling can't loop back
+     * @type {WeakSet<PulseEvent>}
+     */
+    #deadLetterEvents = new WeakSet();
+
+    /** @type {Set<import('./instrument').InstrumentationHooks>} */
+    #instruments = new Set();
+
+    /**
+     * Errors of listener attempts that hit their timeout
+     * @type {WeakSet<Error>}
+     */
+    #timeoutErrors = new WeakSet();
+
+    /**
+     * @param {string} mode
+     * @returns {ValidationMode}
+     */
+    static #validateValidationMode(mode) {
+        if (mode !== 'reject' && mode !== 'collect') {
+            throw new Error(`Invalid validation mode: ${mode}`);
+        }
+        return mode;
+    }
+
+    /**
+     * @param {string} mode
+     * @returns {DispatchMode}
+     */
+    static #validateDispatchMode(mode) {
+        if (!DISPATCH_MODES.includes(/** @type {DispatchMode} */ (mode))) {
+            throw new Error(`Invalid dispatch mode: ${mode}`);
+        }
+        return /** @type {DispatchMode} */ (mode);
     }
 
     /** @type {Map<string, RegExp>} */
@@ -45,11 +244,33 @@ export class Pulse {
      * @returns {import('./listener').Listener<InstanceType<TEventClass>>}
      */
     on = (pattern, callback, options = {}) => {
+        // Validate before the Listener subscribes to its signal and starts its autodestroy timer
+        this.#validatePattern(pattern);
+        const group = options.consumerGroup !== undefined ? this.#consumerGroup(options.consumerGroup) : null;
         const listener = new Listener(this, pattern, callback, options);
-        const patternWithoutWildcards = pattern.replace(/\*+|\++/g, "placeholder");
-        if (!this.isValidTopic(patternWithoutWildcards)) throw new Error(`Invalid pattern: ${pattern}`);
+        if (options.signal?.aborted) {
+            listener.destroy();
+            return listener;
+        }
         if (!this.listeners.has(pattern)) this.listeners.set(pattern, new Set());
         this.listeners.get(pattern)?.add(listener);
+        this.listenerIndex.add(pattern, listener);
+
+        if (group) {
+            this.consumerGroups.set(group.name, group);
+            group.members.add(listener);
+            listener.consumerGroup = group;
+        }
+
+        if (options.replayRetained !== false) {
+            // A consumer group receives each retained event once: not again through a member joining later
+            const retained = this.getRetained(pattern).filter(event => !group || ![...group.members].some(member =>
+                member !== listener && this.matchesPattern(event.topic, member.pattern)
+            ));
+            // Deferred so the callback never runs before on() has returned the listener
+            if (retained.length > 0) queueMicrotask(() => this.#replayTo(listener, retained));
+        }
+
         return listener;
     }
 
@@ -61,42 +282,278 @@ export class Pulse {
      */
     once = (pattern, callback, options = {}) => this.on(pattern, callback, {...options, once: true });
 
+    /**
+     * Find or create the consumer group a new listener joins
+     * @param {string|import('./group').ConsumerGroupOptions} options
+     * @returns {ConsumerGroup}
+     */
+    #consumerGroup(options) {
+        const groupOptions = typeof options === 'string' ? { name: options } : options;
+        const existing = this.consumerGroups.get(groupOptions.name);
+        if (!existing) return new ConsumerGroup(groupOptions);
+        if (!existing.accepts(groupOptions)) {
+            throw new Error(`Consumer group ${existing.name} is already configured with another strategy or key`);
+        }
+        return existing;
+    }
+
+    /**
+     * Keep only one member per consumer group among the listeners matching an event
+     * @param {InstanceType<TEventClass>} event
+     * @param {Listener<InstanceType<TEventClass>>[]} listeners
+     * @returns {Listener<InstanceType<TEventClass>>[]}
+     */
+    #balance(event, listeners) {
+        if (this.consumerGroups.size === 0) return listeners;
+
+        const matched = new Set(listeners);
+        /** @type {Set<ConsumerGroup>} */
+        const groups = new Set();
+        /** @type {Set<Listener<any>>} */
+        const chosen = new Set();
+        for (const { consumerGroup: group } of listeners) {
+            if (!group || groups.has(group)) continue;
+            groups.add(group);
+            // Registration order, so key-hash picks don't depend on how the index orders matches
+            const candidates = [...group.members].filter(member => matched.has(member));
+            chosen.add(group.pick(event, candidates));
+        }
+
+        return listeners.filter(listener => !listener.consumerGroup || chosen.has(listener));
+    }
+
+    /**
+     * Register a validator for the payloads of the topics matching a pattern.
+     * The validator is a function returning true/false/an error message, or a JSON Schema subset.
+     * @param {string} pattern
+     * @param {import('./schema').Validator} validator - Validates `event.data` on emit
+     * @param {{ response?: import('./schema').Validator }} [options] - `response` validates values returned by listeners
+     * @returns {TopicDefinition}
+     */
+    define(pattern, validator, options = {}) {
+        this.#validatePattern(pattern);
+        const definition = new TopicDefinition(this, pattern, validator, options);
+        this.definitionIndex.add(pattern, definition);
+        return definition;
+    }
+
+    /**
+     * Check a value against the validators registered for a topic
+     * @param {string} topic
+     * @param {any} value
+     * @param {'data'|'response'} [kind='data'] - Check the payload validators or the response validators
+     * @returns {import('./schema').ValidationIssue[]} Empty when the value is valid
+     */
+    validate(topic, value, kind = 'data') {
+        if (this.definitionIndex.size === 0) return [];
+        return this.definitionIndex.match(topic).flatMap(definition => {
+            const validator = kind === 'response' ? definition.response : definition.validator;
+            return validator ? runValidator(validator, value) : [];
+        });
+    }
+
+    /**
+     * Wait for the next event matching a pattern (and the optional filter).
+     * Rejects on timeout or abort; the underlying listener is always removed.
+     * @param {string} pattern
+     * @param {{
+     * filter?: (event: InstanceType<TEventClass>) => boolean,
+     * timeout?: number,
+     * signal?: AbortSignal,
+     * }} [options]
+     * @returns {Promise<InstanceType<TEventClass>>}
+     */
+    waitFor(pattern, options = {}) {
+        const { filter, timeout, signal } = options;
+
+        return new Promise((resolve, reject) => {
+            /** @type {ReturnType<typeof setTimeout>|undefined} */
+            let timeoutId;
+
+            const cleanup = () => {
+                clearTimeout(timeoutId);
+                signal?.removeEventListener('abort', onAbort);
+                listener.destroy();
+            };
+            const onAbort = () => {
+                cleanup();
+                reject(signal?.reason instanceof Error ? signal.reason : new Error(`waitFor aborted for pattern: ${pattern}`));
+            };
+
+            const listener = this.on(pattern, ({event}) => {
+                try {
+                    if (filter && !filter(event)) return;
+                } catch (err) {
+                    cleanup();
+                    return reject(err);
+                }
+                cleanup();
+                resolve(event);
+            }, { replayRetained: false });
+
+            if (signal?.aborted) return onAbort();
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            if (timeout !== undefined) {
+                timeoutId = setTimeout(() => {
+                    cleanup();
+                    reject(new Error(`waitFor timed out after ${timeout}ms for pattern: ${pattern}`));
+                }, timeout);
+            }
+        });
+    }
+
+    /**
+     * Connect this Pulse to a peer Pulse in another context (worker, iframe, tab...)
+     * @param {import('../transports/bridge').BridgePort} port
+     * @param {import('../transports/bridge').BridgeOptions} [options]
+     * @returns {Bridge}
+     */
+    bridge(port, options = {}) {
+        return new Bridge(this, port, options);
+    }
+
+    /**
+     * Subscribe to a pattern as an async iterator
+     * @example
+     * for await (const event of pulse.stream('chat:**')) { ... }
+     * @param {string} pattern
+     * @param {import('./stream').StreamOptions} [options]
+     * @returns {PulseStream<InstanceType<TEventClass>>}
+     */
+    stream(pattern, options = {}) {
+        return new PulseStream(this, pattern, options);
+    }
+
+    /**
+     * Bus restricted to a topic prefix: `on`, `once`, `use` and `emit` prefix their topics,
+     * and `destroy()` removes everything it registered
+     * @example
+     * const users = pulse.scope('user');
+     * users.on('login', handler); // listens to user:login
+     * users.destroy();
+     * @param {string} prefix
+     * @returns {ScopedPulse<TEventClass>}
+     */
+    scope(prefix) {
+        return new ScopedPulse(this, prefix);
+    }
+
+    /**
+     * Report emits, listener calls and middlewares to tracing hooks
+     * @example
+     * const recorder = new SpanRecorder();
+     * const stop = pulse.instrument(recorder);
+     * @param {import('./instrument').InstrumentationHooks} hooks
+     * @returns {() => void} Removes the hooks
+     */
+    instrument(hooks) {
+        if (!hooks || typeof hooks !== 'object') throw new Error(`Invalid instrumentation hooks: ${hooks}`);
+        this.#instruments.add(hooks);
+        return () => {
+            this.#instruments.delete(hooks);
+        };
+    }
+
+    /**
+     * Call a hook on every instrument; a throwing hook never affects the emit
+     * @template {keyof import('./instrument').InstrumentationHooks} THook
+     * @param {THook} hook
+     * @param {Parameters<NonNullable<import('./instrument').InstrumentationHooks[THook]>>[0]} info
+     */
+    #report(hook, info) {
+        for (const hooks of this.#instruments) {
+            try {
+                /** @type {Function|undefined} */ (hooks[hook])?.call(hooks, info);
+            } catch {
+                // Instrumentation must not change what it observes
+            }
+        }
+    }
+
     /**
      * @param {string} pattern
      * @param {import('./middleware').MiddlewareCallback<InstanceType<TEventClass>>} callback
+     * @param {import('./middleware').MiddlewareOptions} [options]
      * @returns {import('./middleware').Middleware<InstanceType<TEventClass>>}
      */
-    use = (pattern, callback) => {
-        const middleware = new Middleware(this, pattern, callback);
+    use = (pattern, callback, options = {}) => {
+        this.#validatePattern(pattern);
+        const middleware = new Middleware(this, pattern, callback, options);
         this.middlewares.push(middleware);
+        this.middlewareIndex.add(pattern, middleware);
         return middleware;
     }
 
     /**
+     * Run the listener-scoped middleware chain, then the listener itself
      * @param {InstanceType<TEventClass>} event
      * @param {import('./listener').Listener<InstanceType<TEventClass>>} listener
+     * @param {AbortSignal} [signal] - Aborted when the listener times out or the emit is cancelled
+     * @returns {Promise<import('./listener').ListenerOutcome>}
      */
-    async applyMiddlewaresToListener(event, listener) {
-        const matchingMiddlewares = this.middlewares.filter(middleware =>
-            middleware.matches(event.topic)
+    async applyMiddlewaresToListener(event, listener, signal = new AbortController().signal) {
+        const matchingMiddlewares = this.middlewareIndex.match(event.topic)
+            .filter(middleware => middleware.scope === 'listener');
+
+        /** @type {import('./listener').ListenerOutcome} */
+        let outcome = { status: 'skipped', reason: 'blocked by middleware' };
+        await this.#runMiddlewares(
+            matchingMiddlewares,
+            {event, pulse: this, listener, signal},
+            async () => { outcome = await listener.call(event, signal); },
+            error => { outcome = { status: 'rejected', reason: error }; }
         );
+        return outcome;
+    }
 
-        if (matchingMiddlewares.length === 0) return listener.call(event);
+    /**
+     * @param {import('./middleware').Middleware<InstanceType<TEventClass>>[]} middlewares
+     * @param {import('./middleware').MiddlewareContext<InstanceType<TEventClass>>} context
+     * @param {() => Promise<any>} final - Called when the last middleware calls next()
+     * @param {(error: Error) => void} [onError] - Called with the error of a throwing middleware
+     */
+    async #runMiddlewares(middlewares, context, final, onError) {
+        if (middlewares.length === 0) return final();
 
         let index = 0;
 
+        /** @returns {Promise<any>} */
         const next = async () => {
-            if (index >= matchingMiddlewares.length) return listener.call(event);
+            if (index >= middlewares.length) return final();
 
-            const middleware = matchingMiddlewares[index++];
-            if (!middleware) return listener.call(event);
+            const middleware = middlewares[index++];
+            if (!middleware) return final();
 
+            const startTime = now();
+            let passed = false;
+            /** @type {Error|undefined} */
+            let error;
             try {
-                return await middleware.callback({event, pulse: this, listener}, next);
+                return await middleware.callback(context, () => {
+                    passed = true;
+                    return next();
+                });
             } catch (err) {
                 // Collect error and stop the chain — a throwing middleware should block execution
                 const errorObj = err instanceof Error ? err : new Error(String(err));
-                event.error(errorObj);
+                error = errorObj;
+                context.event.error(errorObj);
+                onError?.(errorObj);
+            } finally {
+                if (this.#instruments.size > 0) {
+                    const endTime = now();
+                    this.#report('onMiddleware', {
+                        event: context.event,
+                        middleware,
+                        listener: context.listener,
+                        passed,
+                        ...(error && { error }),
+                        startTime,
+                        endTime,
+                        duration: endTime - startTime,
+                    });
+                }
             }
         };
 
@@ -106,59 +563,589 @@ export class Pulse {
     /**
      * @param {string} topic
      * @param {any} data
-     * @param {{
-     * timeout?: number,
-     * }} options
+     * @param {EmitOptions} options
+     * @returns {Promise<InstanceType<TEventClass>>}
+     */
+    emit = async (topic, data, options = {}) => this.#emit(topic, data, options);
+
+    /**
+     * Emit an already built event, e.g. one rebuilt with `EventClass.fromJSON()`
+     * @param {InstanceType<TEventClass>} event
+     * @param {EmitOptions} [options] - Defaults to the event's own options
+     * @returns {Promise<InstanceType<TEventClass>>}
+     */
+    dispatchEvent = async (event, options = {}) => {
+        if (!(event instanceof PulseEvent)) throw new Error('dispatchEvent() expects a PulseEvent');
+        return this.#emit(event.topic, event.data, { ...event.options, ...options }, { event });
+    }
+
+    /**
+     * Emit and resolve with a single reply instead of the event.
+     * - `all` (default): resolves with every response once all listeners settled
+     * - `first`: resolves with the first response and abandons the remaining listeners
+     * - `reduce`: folds the responses with `reducer`, starting from `initial`
+     * Rejects with a PulseRequestError when no listener matches or when listeners failed.
+     * @param {string} topic
+     * @param {any} data
+     * @param {EmitOptions & {
+     * strategy?: 'first'|'all'|'reduce',
+     * reducer?: (accumulator: any, response: any) => any,
+     * initial?: any,
+     * }} [options]
+     * @returns {Promise<any>}
+     */
+    async request(topic, data, options = {}) {
+        const { strategy = 'all', reducer, initial, ...emitOptions } = options;
+
+        if (!['first', 'all', 'reduce'].includes(strategy)) {
+            throw new Error(`Invalid request strategy: ${strategy}`);
+        }
+        if (strategy === 'reduce' && typeof reducer !== 'function') {
+            throw new Error('The reduce strategy requires a reducer function');
+        }
+        if (this.isValidTopic(topic) && this.listenerIndex.match(topic).length === 0) {
+            throw new PulseRequestError(`No listener matched topic: ${topic}`, [], topic, null);
+        }
+
+        // "first" cancels the remaining listeners once a response arrived, without reporting it as an error
+        const cancel = new AbortController();
+        const event = await this.#emit(topic, data, { ...emitOptions, silent: false }, {
+            cancel: cancel.signal,
+            onSettled: (event) => {
+                if (strategy === 'first' && event.responses.length > 0) cancel.abort();
+            }
+        });
+        const { errors } = event;
+
+        if (strategy === 'first') {
+            if (event.responses.length > 0) return event.responses[0];
+            throw new PulseRequestError(
+                errors.length ? `Request failed for topic: ${topic}` : `No response for topic: ${topic}`,
+                errors, topic, event
+            );
+        }
+
+        if (errors.length > 0) {
+            throw new PulseRequestError(`Request failed for topic: ${topic}`, errors, topic, event);
+        }
+
+        if (strategy === 'reduce') {
+            return 'initial' in options
+                ? event.responses.reduce(/** @type {Function} */ (reducer), initial)
+                : event.responses.reduce(/** @type {Function} */ (reducer));
+        }
+
+        return event.responses;
+    }
+
+    /**
+     * @param {string} topic
+     * @param {any} data
+     * @param {EmitOptions} options
+     * @param {{ onSettled?: DispatchRun['onSettled'], cancel?: AbortSignal, event?: InstanceType<TEventClass> }} [hooks] - Internal hooks used by request() and dispatchEvent()
      * @returns {Promise<InstanceType<TEventClass>>}
      */
-    emit = async (topic, data, options = {}) => {
+    async #emit(topic, data, options, hooks = {}) {
         if (!this.isValidTopic(topic)) {
             throw new Error(`Invalid topic: ${topic}`);
         }
+        if (options.dispatch) Pulse.#validateDispatchMode(options.dispatch);
+        if (options.validation) Pulse.#validateValidationMode(options.validation);
+
+        const issues = this.validate(topic, data);
+        const invalid = issues.length > 0 ? new PulseValidationError(topic, issues) : null;
+        if (invalid && (options.validation ?? this.validation) === 'reject') {
+            throw invalid;
+        }
 
+        const event = (hooks.event ?? new this.EventClass(topic, data, options)).attach(this);
+        if (event.depth > this.maxDepth) throw new PulseDepthError(event, this.maxDepth);
 
-        /** @type {import('./listener').Listener<InstanceType<TEventClass>>[]} */
-        const listeners = [];
+        const startTime = now();
+        this.#report('onEmitStart', { event, startTime });
 
-        for (const [pattern, patternListeners] of this.listeners.entries()) {
-            if (this.#matchPattern(topic, pattern)) {
-                listeners.push(...patternListeners);
-            }
+        const listeners = this.#balance(event, this.listenerIndex.match(topic));
+        if (this.#routingDeadLetter || this.#deadLetterContext?.getStore() || (options.parent && this.#deadLetterEvents.has(options.parent))) {
+            this.#deadLetterEvents.add(event);
         }
 
-        const event = new this.EventClass(topic, data, options);
+        // Invalid payloads never reach listeners, and are neither retained nor recorded
+        if (invalid) event.error(invalid);
 
-        if (listeners.length === 0) return event;
+        // Event-scoped middlewares wrap the whole dispatch once, even when no listener matches
+        const eventMiddlewares = this.middlewareIndex.match(topic)
+            .filter(middleware => middleware.scope === 'event');
 
-        const timeout = options?.timeout || 5000;
+        // Aborting the emit signal records its reason once, then cancels every pending listener.
+        // The internal cancel hook stops the dispatch silently.
+        const controller = new AbortController();
 
-        const promises = listeners.map(async listener => {
-            let timeoutId;
-            try {
-                const timeoutPromise = new Promise((_, reject) => {
-                    timeoutId = setTimeout(() => {
-                        reject(new Error(`Listener timed out after ${timeout}ms for topic: ${topic}`));
-                    }, timeout);
+        /** @type {DispatchRun} */
+        const run = {
+            timeout: options.timeout || 5000,
+            mode: options.dispatch ?? this.dispatch,
+            signal: controller.signal,
+            cancelled: false,
+            outcomes: [],
+            onSettled: hooks.onSettled,
+        };
+
+        const onAbort = () => {
+            const reason = options.signal?.reason;
+            const error = reason instanceof Error ? reason : new Error(`Emit aborted for topic: ${topic}`);
+            event.error(error);
+            controller.abort(error);
+        };
+        const onCancel = () => {
+            run.cancelled = true;
+            controller.abort(hooks.cancel?.reason);
+        };
+        if (options.signal?.aborted) onAbort();
+        else options.signal?.addEventListener('abort', onAbort, { once: true });
+        hooks.cancel?.addEventListener('abort', onCancel, { once: true });
+
+        let dispatched = false;
+        try {
+            if (!invalid) {
+                // Only events the middlewares let through are retained and recorded
+                await this.#runMiddlewares(eventMiddlewares, {event, pulse: this, listener: null, signal: controller.signal}, () => {
+                    dispatched = true;
+                    if (options.retain) this.retained.set(topic, event);
+                    this.#history?.add(event);
+                    return this.#dispatch(event, listeners, run);
                 });
+            }
+        } finally {
+            options.signal?.removeEventListener('abort', onAbort);
+            hooks.cancel?.removeEventListener('abort', onCancel);
+        }
+
+        // Listeners the emit targeted but never reached still get a result
+        if (!event.options.silent && run.outcomes.length < listeners.length) {
+            const reason = invalid ? 'invalid payload'
+                : run.cancelled ? 'cancelled'
+                : run.signal.aborted ? 'aborted'
+                : !dispatched ? 'blocked by middleware'
+                : 'propagation stopped';
+            const delivered = new Set(run.outcomes.map(({ listener }) => listener));
+            for (const listener of listeners) {
+                if (delivered.has(listener)) continue;
+                event.results.push({ listener, pattern: listener.pattern, name: listener.name, status: 'skipped', reason, duration: 0 });
+            }
+        }
+
+        if (this.deadLetter) await this.#routeDeadLetter(event, listeners, run);
+
+        const endTime = now();
+        this.#report('onEmitEnd', { event, startTime, endTime, duration: endTime - startTime, listeners: listeners.length });
+
+        return event;
+    }
+
+    /**
+     * Deliver an event to its listeners, following the dispatch mode, and wait for all of them to settle
+     * @param {InstanceType<TEventClass>} event
+     * @param {import('./listener').Listener<InstanceType<TEventClass>>[]} listeners
+     * @param {DispatchRun} run
+     */
+    async #dispatch(event, listeners, run) {
+        if (listeners.length === 0 || run.signal.aborted) return;
+
+        // Array.prototype.sort is stable: equal priorities keep registration order
+        const ordered = [...listeners].sort((a, b) => b.priority - a.priority);
+
+        if (run.mode === 'sequential') {
+            /** @type {number|undefined} */
+            let currentPriority;
+            for (const listener of ordered) {
+                if (event.immediatePropagationStopped) break;
+                // stopPropagation() lets the listeners sharing the current priority finish
+                if (event.propagationStopped && listener.priority !== currentPriority) break;
+                currentPriority = listener.priority;
+                await this.#deliver(event, listener, run);
+            }
+            return;
+        }
+
+        if (run.mode === 'priority-groups') {
+            /** @type {import('./listener').Listener<InstanceType<TEventClass>>[][]} */
+            const groups = [];
+            for (const listener of ordered) {
+                const group = groups[groups.length - 1];
+                if (group && group[0]?.priority === listener.priority) group.push(listener);
+                else groups.push([listener]);
+            }
+            for (const group of groups) {
+                if (event.propagationStopped) break;
+                await Promise.allSettled(group.map(listener => this.#deliver(event, listener, run)));
+            }
+            return;
+        }
 
-                return await Promise.race([
-                    this.applyMiddlewaresToListener(event, listener),
-                    timeoutPromise
-                ]);
+        // In parallel dispatch every listener has started before any of them can stop propagation
+        if (event.propagationStopped) return;
+        await Promise.allSettled(ordered.map(listener => this.#deliver(event, listener, run)));
+    }
+
+    /**
+     * Run one listener (and its middlewares) once its flow control lets it.
+     * Waiting for a gate or a concurrency slot doesn't count against the timeout.
+     * @param {InstanceType<TEventClass>} event
+     * @param {import('./listener').Listener<InstanceType<TEventClass>>} listener
+     * @param {DispatchRun} run
+     */
+    async #deliver(event, listener, run) {
+        const { signal } = run;
+        listener.active++;
+
+        /** @type {Delivery} */
+        const delivery = { startTime: now(), attempts: 0, timedOut: false, calls: [] };
+        this.#report('onListenerStart', { event, listener, startTime: delivery.startTime });
+
+        /** @type {import('./listener').ListenerOutcome} */
+        let outcome = { status: 'skipped', reason: 'aborted' };
+        if (signal.aborted) return this.#settle(event, listener, run, outcome, delivery);
+
+        if (listener.gates.length > 0 || listener.limiter) {
+            /** @type {string|null} */
+            let skipped;
+            try {
+                skipped = await listener.admit(signal);
             } catch (error) {
                 const errorObj = error instanceof Error ? error : new Error(String(error));
                 event.error(errorObj);
-            } finally {
-                clearTimeout(timeoutId);
+                return this.#settle(event, listener, run, { status: 'rejected', reason: errorObj }, delivery);
+            }
+            if (skipped !== null) {
+                event.skipped.push({ listener, pattern: listener.pattern, reason: skipped });
+                return this.#settle(event, listener, run, { status: 'skipped', reason: skipped }, delivery);
+            }
+        }
+
+        try {
+            outcome = await this.#attempts(event, listener, run, delivery);
+        } finally {
+            // A timed out call keeps running: its slot is only freed once the callback itself settles
+            if (listener.limiter) {
+                const { limiter } = listener;
+                Promise.allSettled(delivery.calls).then(() => limiter.release());
+            }
+        }
+
+        return this.#settle(event, listener, run, outcome, delivery);
+    }
+
+    /**
+     * Call a listener, retrying failed attempts when it has a retry policy.
+     * Only the error of the last attempt stays in `event.errors`; every attempt is recorded in `event.attempts`.
+     * @param {InstanceType<TEventClass>} event
+     * @param {import('./listener').Listener<InstanceType<TEventClass>>} listener
+     * @param {DispatchRun} run
+     * @param {Delivery} delivery - Counts the attempts
+     * @returns {Promise<import('./listener').ListenerOutcome>}
+     */
+    async #attempts(event, listener, run, delivery) {
+        const { signal } = run;
+        const { retry } = listener;
+        const timeout = listener.options?.timeout ?? run.timeout;
+
+        /** @type {import('./listener').ListenerOutcome} */
+        let outcome;
+
+        for (let attempt = 1; ; attempt++) {
+            const started = Date.now();
+            outcome = await this.#attempt(event, listener, run, timeout, delivery.calls);
+            delivery.attempts = attempt;
+            delivery.timedOut = outcome.status === 'rejected' && this.#timeoutErrors.has(outcome.reason);
+
+            event.attempts.push({
+                listener,
+                pattern: listener.pattern,
+                attempt,
+                status: outcome.status,
+                ...(outcome.status === 'rejected' && { error: outcome.reason }),
+                duration: Date.now() - started,
+            });
+
+            if (outcome.status !== 'rejected' || signal.aborted || !retry || attempt >= retry.attempts) break;
+
+            const error = outcome.reason;
+            let retrying = false;
+            try {
+                retrying = Boolean(retry.retryOn(error, attempt));
+            } catch {
+                // A throwing retryOn gives up, keeping the listener's error
+            }
+            if (!retrying) break;
+
+            const delay = retry.backoff === 'exponential' ? retry.delay * 2 ** (attempt - 1) : retry.delay;
+            if (!await this.#sleep(delay, signal)) break;
+
+            // The next attempt replaces this failure
+            const index = event.errors.indexOf(error);
+            if (index !== -1) event.errors.splice(index, 1);
+        }
+
+        return outcome;
+    }
+
+    /**
+     * Run one listener (and its middlewares) once against the timeout, collecting any error on the event.
+     * The listener's own signal is aborted on timeout or when the emit is cancelled, and its promise is abandoned.
+     * @param {InstanceType<TEventClass>} event
+     * @param {import('./listener').Listener<InstanceType<TEventClass>>} listener
+     * @param {DispatchRun} run
+     * @param {number} timeout
+     * @param {Promise<any>[]} calls - Receives the call, which may outlive the attempt
+     * @returns {Promise<import('./listener').ListenerOutcome>}
+     */
+    async #attempt(event, listener, run, timeout, calls) {
+        const { signal } = run;
+
+        /** @type {import('./listener').ListenerOutcome} */
+        let outcome;
+
+        const controller = new AbortController();
+        const onAbort = () => controller.abort(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+
+        const timeoutId = setTimeout(() => {
+            const error = new Error(`Listener timed out after ${timeout}ms for topic: ${event.topic}`);
+            this.#timeoutErrors.add(error);
+            controller.abort(error);
+        }, timeout);
+
+        try {
+            const aborted = new Promise((_, reject) => {
+                controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+            });
+
+            const call = this.applyMiddlewaresToListener(event, listener, controller.signal);
+            calls.push(call);
+            outcome = await Promise.race([call, aborted]);
+        } catch (error) {
+            if (signal.aborted) {
+                // An emit-level abort is recorded once by emit(); a silent cancel is not an error
+                outcome = run.cancelled
+                    ? { status: 'skipped', reason: 'cancelled' }
+                    : { status: 'rejected', reason: signal.reason };
+            } else {
+                const errorObj = error instanceof Error ? error : new Error(String(error));
+                event.error(errorObj);
+                outcome = { status: 'rejected', reason: errorObj };
             }
+        } finally {
+            clearTimeout(timeoutId);
+            signal.removeEventListener('abort', onAbort);
+        }
+
+        return outcome;
+    }
+
+    /**
+     * Wait before a retry
+     * @param {number} ms
+     * @param {AbortSignal} signal
+     * @returns {Promise<boolean>} False when the signal aborted first
+     */
+    #sleep(ms, signal) {
+        return new Promise(resolve => {
+            const onAbort = () => {
+                clearTimeout(timeoutId);
+                resolve(false);
+            };
+            const timeoutId = setTimeout(() => {
+                signal.removeEventListener('abort', onAbort);
+                resolve(true);
+            }, ms);
+            signal.addEventListener('abort', onAbort, { once: true });
         });
+    }
 
-        await Promise.allSettled(promises)
-        return event;
+    /**
+     * Record how a listener call ended, in `event.results` and for the instrumentation hooks
+     * @param {InstanceType<TEventClass>} event
+     * @param {import('./listener').Listener<InstanceType<TEventClass>>} listener
+     * @param {DispatchRun} run
+     * @param {import('./listener').ListenerOutcome} outcome
+     * @param {Delivery} delivery
+     * @returns {import('./listener').ListenerOutcome}
+     */
+    #settle(event, listener, run, outcome, delivery) {
+        listener.active--;
+        run.outcomes.push({ listener, outcome });
+
+        const endTime = now();
+        const duration = endTime - delivery.startTime;
+        if (!event.options.silent) event.results.push(this.#result(event, listener, outcome, delivery, duration));
+        run.onSettled?.(event, listener);
+
+        if (this.#instruments.size > 0) {
+            this.#report('onListenerEnd', {
+                event,
+                listener,
+                outcome,
+                attempts: delivery.attempts,
+                timedOut: delivery.timedOut,
+                startTime: delivery.startTime,
+                endTime,
+                duration,
+            });
+        }
+        return outcome;
+    }
+
+    /**
+     * @param {InstanceType<TEventClass>} event
+     * @param {import('./listener').Listener<InstanceType<TEventClass>>} listener
+     * @param {import('./listener').ListenerOutcome} outcome
+     * @param {Delivery} delivery
+     * @param {number} duration
+     * @returns {import('./listener').ListenerResult}
+     */
+    #result(event, listener, outcome, delivery, duration) {
+        const { pattern, name } = listener;
+        if (outcome.status === 'fulfilled') {
+            return { listener, pattern, name, status: 'fulfilled', value: outcome.value, duration };
+        }
+        if (outcome.status === 'skipped') {
+            return { listener, pattern, name, status: 'skipped', reason: outcome.reason, duration };
+        }
+
+        /** @type {import('./listener').ListenerResult} */
+        const result = { listener, pattern, name, status: delivery.timedOut ? 'timeout' : 'rejected', duration };
+        result.error = new PulseListenerError(outcome.reason, result, event.topic);
+        return result;
+    }
+
+    /**
+     * Hand unhandled and failed events to the dead-letter topic or callback
+     * @param {InstanceType<TEventClass>} event
+     * @param {import('./listener').Listener<InstanceType<TEventClass>>[]} listeners
+     * @param {DispatchRun} run
+     */
+    async #routeDeadLetter(event, listeners, run) {
+        const { deadLetter } = this;
+
+        // Letters are never routed again, and neither is anything emitted while a letter is being handed over
+        if (event.topic === deadLetter || this.#deadLetterEvents.has(event)) return;
+
+        /** @type {DeadLetter['reason']} */
+        let reason;
+        if (listeners.length === 0) reason = 'unhandled';
+        else if (event.errors.length > 0) reason = 'failed';
+        else return;
+
+        /** @type {DeadLetter} */
+        const letter = {
+            reason,
+            event,
+            errors: [...event.errors],
+            failed: run.outcomes.flatMap(({ listener, outcome }) =>
+                outcome.status === 'rejected' ? [{ listener, pattern: listener.pattern, error: outcome.reason }] : []
+            ),
+        };
+
+        const handOver = () => typeof deadLetter === 'string'
+            ? this.#emit(deadLetter, letter, { parent: event })
+            : deadLetter?.(letter);
+
+        this.#routingDeadLetter = true;
+        let pending;
+        try {
+            pending = this.#deadLetterContext ? this.#deadLetterContext.run(true, handOver) : handOver();
+        } catch {
+            // Dead-letter handling never fails the original emit
+        } finally {
+            this.#routingDeadLetter = false;
+        }
+        await Promise.resolve(pending).catch(() => {});
+    }
+
+    /**
+     * Re-deliver past events to a single listener, one after another, without affecting other listeners.
+     * The listener gets a copy of each event, so its responses and errors never reach the original emitter.
+     * @param {import('./listener').Listener<InstanceType<TEventClass>>} listener
+     * @param {InstanceType<TEventClass>[]} events
+     */
+    async #replayTo(listener, events) {
+        for (const original of events) {
+            // Stop if the listener was destroyed meanwhile (once, autodestroy, signal...)
+            if (!this.listeners.get(listener.pattern)?.has(listener)) return;
+            const EventClass = /** @type {TEventClass} */ (original.constructor);
+            const event = /** @type {InstanceType<TEventClass>} */ (EventClass.fromJSON(original.toJSON()).attach(this));
+            await this.#deliver(event, listener, {
+                timeout: event.options.timeout || 5000,
+                mode: 'sequential',
+                signal: new AbortController().signal,
+                cancelled: false,
+                outcomes: [],
+            });
+        }
+    }
+
+    /**
+     * @returns {EventHistory<InstanceType<TEventClass>>}
+     */
+    #requireHistory() {
+        if (!this.#history) throw new Error('History is not enabled: create Pulse with the history option');
+        return this.#history;
+    }
+
+    /**
+     * Recently emitted events whose topic matches a pattern, oldest first
+     * @param {string} [pattern='**']
+     * @param {import('./history').HistoryQuery} [query]
+     * @returns {InstanceType<TEventClass>[]}
+     */
+    history(pattern = '**', query = {}) {
+        return this.#requireHistory().query(event => this.matchesPattern(event.topic, pattern), query);
+    }
+
+    /**
+     * Re-dispatch recently emitted events to a single listener, oldest first.
+     * Other listeners are not called again.
+     * @param {string} pattern
+     * @param {import('./history').HistoryQuery & { to: import('./listener').Listener<InstanceType<TEventClass>> }} options
+     * @returns {Promise<InstanceType<TEventClass>[]>} The recorded events that were replayed (the listener receives copies)
+     */
+    async replay(pattern, options) {
+        const { to, ...query } = options ?? {};
+        if (!(to instanceof Listener)) throw new Error('replay() requires a listener in options.to');
+
+        const events = this.history(pattern, query);
+        await this.#replayTo(to, events);
+        return events;
+    }
+
+    /**
+     * Forget every recorded event
+     */
+    clearHistory() {
+        this.#history?.clear();
+    }
+
+    /**
+     * Get the retained events whose topic matches a pattern
+     * @param {string} [pattern='**']
+     * @returns {InstanceType<TEventClass>[]}
+     */
+    getRetained(pattern = '**') {
+        return [...this.retained.values()].filter(event => this.matchesPattern(event.topic, pattern));
+    }
 
+    /**
+     * Forget the retained events whose topic matches a pattern
+     * @param {string} [pattern='**']
+     */
+    clearRetained(pattern = '**') {
+        for (const topic of this.retained.keys()) {
+            if (this.matchesPattern(topic, pattern)) this.retained.delete(topic);
+        }
     }
 
     /**
+     * Compile a pattern into a regex matching `${topic}:`
      * @param {string} pattern
      * @returns {RegExp}
      */
@@ -168,92 +1155,19 @@ export class Pulse {
             return this.#patternCache.get(pattern) || /.*/;
         }
 
-        let regexStr = '^';
-        let i = 0;
-
-        while (i < pattern.length) {
+        // Each section consumes one `section:` of the topic, which #matchPattern tests with a trailing ':'.
+        // Matching section by section keeps adjacent wildcards (`**:**`, `++:**`) consistent with the TopicTrie.
+        const regexStr = '^' + pattern.split(':').map(section => {
             // ** = zéro ou plusieurs sections
-            if (pattern[i] === '*' && pattern[i + 1] === '*') {
-                if (i === 0) {
-                    // ** au tout début du pattern
-                    if (i + 2 >= pattern.length) {
-                        // Juste "**" → match n'importe quoi
-                        regexStr += '.*';
-                    } else if (pattern[i + 2] === ':') {
-                        // "**:something" → match zéro ou plusieurs sections suivies de :something
-                        regexStr += '(?:.*:)?';
-                        i += 3; // Skip "**:"
-                        continue;
-                    }
-                } else {
-                    // ** après d'autres caractères
-                    // Retirer le dernier ":" qu'on vient d'ajouter
-                    if (regexStr.endsWith('\\:')) {
-                        regexStr = regexStr.slice(0, -2);
-                    }
-
-                    if (i + 2 >= pattern.length) {
-                        // "something:**" → le : et ce qui suit sont optionnels (0 ou plus)
-                        regexStr += '(?::[^:]+(?::[^:]+)*)?';
-                    } else if (pattern[i + 2] === ':') {
-                        // "something:**:other" → zéro ou plusieurs sections entre
-                        regexStr += '(?::[^:]+(?::[^:]+)*)?\\:';
-                        i += 3; // Skip "**:"
-                        continue;
-                    }
-                }
-                i += 2;
-            }
+            if (section === '**') return '(?:[^:]+:)*';
             // ++ = une ou plusieurs sections
-            else if (pattern[i] === '+' && pattern[i + 1] === '+') {
-                if (i === 0) {
-                    // ++ au tout début du pattern
-                    if (i + 2 >= pattern.length) {
-                        // Juste "++" → match au moins une section
-                        regexStr += '[^:]+(?::[^:]+)*';
-                    } else if (pattern[i + 2] === ':') {
-                        // "++:something" → au moins une section suivie de :something
-                        regexStr += '[^:]+(?::[^:]+)*\\:';
-                        i += 3; // Skip "++:"
-                        continue;
-                    }
-                } else {
-                    // ++ après d'autres caractères
-                    // Retirer le dernier ":" qu'on vient d'ajouter
-                    if (regexStr.endsWith('\\:')) {
-                        regexStr = regexStr.slice(0, -2);
-                    }
-
-                    if (i + 2 >= pattern.length) {
-                        // "something:++" → au moins une section après
-                        regexStr += ':[^:]+(?::[^:]+)*';
-                    } else if (pattern[i + 2] === ':') {
-                        // "something:++:other" → au moins une section entre
-                        regexStr += ':[^:]+(?::[^:]+)*\\:';
-                        i += 3; // Skip "++:"
-                        continue;
-                    }
-                }
-                i += 2;
-            }
-            // * = exactement une section
-            else if (pattern[i] === '*') {
-                regexStr += '[^:]+';
-                i++;
-            }
-            // : et . doivent être échappés
-            else if (pattern[i] === ':' || pattern[i] === '.') {
-                regexStr += '\\' + pattern[i];
-                i++;
-            }
-            // Caractère normal
-            else {
-                regexStr += pattern[i];
-                i++;
-            }
-        }
-
-        regexStr += '$';
+            if (section === '++') return '(?:[^:]+:)+';
+            // * = une section, ou une partie de section (`user*`)
+            return section
+                .split(/\*+/)
+                .map(part => part.replace(/[.+?^${}()|[\]\\-]/g, '\\$&'))
+                .join('[^:]+') + ':';
+        }).join('') + '$';
         const regex = new RegExp(regexStr);
 
         // Evict oldest entry (FIFO) when cache is full — Map preserves insertion order
@@ -275,7 +1189,19 @@ export class Pulse {
      */
     #matchPattern(topic, pattern) {
         const regex = this.#compilePattern(pattern);
-        return regex.test(topic);
+        return regex.test(`${topic}:`);
+    }
+
+    /**
+     * A pattern is a topic whose sections may be `*`, `**`, `++` or contain single `*` globs (`user*`).
+     * `**` and `++` must be whole sections: the index and matchesPattern() would disagree on `user**` or `a++`.
+     * @param {string} pattern
+     */
+    #validatePattern(pattern) {
+        const sections = pattern.split(':');
+        const valid = sections.every(section => section === '**' || section === '++' || !/\*\*|\+/.test(section))
+            && this.isValidTopic(pattern.replace(/\*+|\++/g, 'placeholder'));
+        if (!valid) throw new Error(`Invalid pattern: ${pattern}`);
     }
 
     /**
@@ -297,18 +1223,102 @@ export class Pulse {
     }
 
     /**
-     * Remove all listeners for a specific pattern
-     * @param {string} pattern
+     * Describe what is registered: patterns, listeners (options, calls, autodestroy budget, queues) and middlewares
+     * @returns {PulseSnapshot}
+     */
+    inspect() {
+        return {
+            patterns: [...this.listeners].map(([pattern, set]) => ({ pattern, listeners: set.size })),
+            listeners: [...this.listeners.values()].flatMap(set => [...set].map(listener => listener.inspect())),
+            middlewares: this.middlewares.map(middleware => middleware.inspect()),
+            consumerGroups: [...this.consumerGroups.values()].map(group => ({
+                name: group.name,
+                strategy: group.strategy,
+                members: group.members.size,
+            })),
+            retained: [...this.retained.keys()],
+        };
+    }
+
+    /**
+     * List, in order, the middlewares and listeners an emit of the topic would reach, without running anything.
+     * Flow control, propagation and middlewares that don't call next() can still skip some of them.
+     * @param {string} topic
+     * @param {{ dispatch?: DispatchMode }} [options] - Dispatch mode to explain, defaults to the Pulse's
+     * @returns {Explanation}
      */
-    off(pattern) {
-        this.listeners.delete(pattern);
+    explain(topic, options = {}) {
+        if (!this.isValidTopic(topic)) {
+            throw new Error(`Invalid topic: ${topic}`);
+        }
+        const dispatch = Pulse.#validateDispatchMode(options.dispatch ?? this.dispatch);
+
+        const middlewares = this.middlewareIndex.match(topic);
+        const ordered = [
+            ...middlewares.filter(middleware => middleware.scope === 'event'),
+            ...middlewares.filter(middleware => middleware.scope === 'listener'),
+        ];
+
+        return {
+            topic,
+            dispatch,
+            validated: this.definitionIndex.match(topic).length > 0,
+            middlewares: ordered.map(middleware => ({ ...middleware.inspect(), middleware })),
+            listeners: this.listenerIndex.match(topic)
+                .sort((a, b) => b.priority - a.priority)
+                .map(listener => ({ ...listener.inspect(), listener })),
+        };
     }
 
     /**
-     * Remove all listeners
+     * Remove listeners: every listener of a pattern, only those registered with a given callback,
+     * or a single Listener instance
+     * @param {string|Listener<InstanceType<TEventClass>>} pattern
+     * @param {Function} [callback]
+     */
+    off(pattern, callback) {
+        if (pattern instanceof Listener) {
+            pattern.destroy();
+            return;
+        }
+        for (const listener of [...this.listeners.get(pattern) ?? []]) {
+            if (callback === undefined || listener.callback === callback) listener.destroy();
+        }
+    }
+
+    /**
+     * Remove every listener and middleware registered with `options.group`.
+     * Throws without a group, which would otherwise match everything registered untagged.
+     * @param {any} group
+     * @returns {number} How many listeners and middlewares were removed
+     */
+    offGroup(group) {
+        if (group === undefined || group === null) throw new Error(`Invalid group: ${group}`);
+
+        let removed = 0;
+        for (const set of [...this.listeners.values()]) {
+            for (const listener of [...set]) {
+                if (listener.group !== group) continue;
+                listener.destroy();
+                removed++;
+            }
+        }
+        for (const middleware of this.middlewares.filter(middleware => middleware.group === group)) {
+            middleware.destroy();
+            removed++;
+        }
+        return removed;
+    }
+
+    /**
+     * Remove all listeners, clearing their autodestroy timers
      */
     removeAllListeners() {
+        for (const set of [...this.listeners.values()]) {
+            for (const listener of [...set]) listener.destroy();
+        }
         this.listeners.clear();
+        this.listenerIndex.clear();
     }
 
     /**
@@ -0,0 +1,165 @@
+/**
+ * @typedef {Object} ValidationIssue
+ * @property {string} path - JSON pointer to the invalid value (`''` for the root)
+ * @property {string} message
+ */
+
+/**
+ * A validator function returns true (or nothing) when the value is valid,
+ * false or an error message when it is not. Throwing also marks the value as invalid.
+ * @callback ValidatorFunction
+ * @param {any} value
+ * @returns {boolean|string|void}
+ */
+
+/**
+ * Subset of JSON Schema understood by Pulse
+ * @typedef {Object} JSONSchema
+ * @property {string|string[]} [type] - `string`, `number`, `integer`, `boolean`, `object`, `array` or `null`
+ * @property {Record<string, JSONSchema>} [properties]
+ * @property {string[]} [required]
+ * @property {boolean} [additionalProperties=true]
+ * @property {JSONSchema} [items]
+ * @property {any[]} [enum]
+ * @property {any} [const]
+ * @property {number} [minimum]
+ * @property {number} [maximum]
+ * @property {number} [minLength]
+ * @property {number} [maxLength]
+ * @property {string} [pattern]
+ * @property {number} [minItems]
+ * @property {number} [maxItems]
+ */
+
+/**
+ * @typedef {ValidatorFunction|JSONSchema} Validator
+ */
+
+/**
+ * @param {any} value
+ * @returns {string}
+ */
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+};
+
+/**
+ * @param {string} path
+ * @param {string} key
+ * @returns {string}
+ */
+const pointer = (path, key) => `${path}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+
+/**
+ * Validate a value against a JSON Schema subset
+ * @param {JSONSchema} schema
+ * @param {any} value
+ * @param {string} [path='']
+ * @returns {ValidationIssue[]}
+ */
+export function validateSchema(schema, value, path = '') {
+    /** @type {ValidationIssue[]} */
+    const issues = [];
+    const actual = typeOf(value);
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const matches = types.some(type =>
+            type === actual
+            || (type === 'integer' && Number.isInteger(value))
+            || (type === 'number' && actual === 'number' && !Number.isNaN(value))
+        );
+        if (!matches) {
+            issues.push({ path, message: `must be ${types.join(' or ')}, got ${actual}` });
+            return issues;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+        issues.push({ path, message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+    }
+    if ('const' in schema && value !== schema.const) {
+        issues.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+    }
+
+    if (actual === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) issues.push({ path, message: `must be >= ${schema.minimum}` });
+        if (schema.maximum !== undefined && value > schema.maximum) issues.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+
+    if (actual === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) issues.push({ path, message: `must be at least ${schema.minLength} characters` });
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) issues.push({ path, message: `must be at most ${schema.maxLength} characters` });
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) issues.push({ path, message: `must match ${schema.pattern}` });
+    }
+
+    if (actual === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) issues.push({ path, message: `must have at least ${schema.minItems} items` });
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) issues.push({ path, message: `must have at most ${schema.maxItems} items` });
+        if (schema.items) {
+            const items = schema.items;
+            value.forEach((/** @type {any} */ item, /** @type {number} */ index) => {
+                issues.push(...validateSchema(items, item, pointer(path, String(index))));
+            });
+        }
+    }
+
+    if (actual === 'object') {
+        for (const key of schema.required ?? []) {
+            if (!(key in value)) issues.push({ path: pointer(path, key), message: 'is required' });
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties ?? {})) {
+            if (key in value) issues.push(...validateSchema(propertySchema, value[key], pointer(path, key)));
+        }
+        if (schema.additionalProperties === false) {
+            for (const key of Object.keys(value)) {
+                if (!(key in (schema.properties ?? {}))) issues.push({ path: pointer(path, key), message: 'is not allowed' });
+            }
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Run a validator (function or schema) against a value
+ * @param {Validator} validator
+ * @param {any} value
+ * @returns {ValidationIssue[]}
+ */
+export function runValidator(validator, value) {
+    if (typeof validator !== 'function') return validateSchema(validator, value);
+
+    try {
+        const result = validator(value);
+        if (result === true || result === undefined) return [];
+        return [{ path: '', message: typeof result === 'string' ? result : 'is invalid' }];
+    } catch (err) {
+        return [{ path: '', message: err instanceof Error ? err.message : String(err) }];
+    }
+}
+
+/**
+ * Payload (and optionally response) validators registered for a topic pattern with `pulse.define()`
+ */
+export class TopicDefinition {
+    /**
+     * @param {import('./pulse').Pulse<any>} pulse
+     * @param {string} pattern
+     * @param {Validator} validator - Validates `event.data`
+     * @param {{ response?: Validator }} [options]
+     */
+    constructor(pulse, pattern, validator, options = {}) {
+        this.pulse = pulse;
+        this.pattern = pattern;
+        this.validator = validator;
+        /** @type {Validator|undefined} */
+        this.response = options.response;
+    }
+
+    destroy() {
+        this.pulse.definitionIndex.remove(this.pattern, this);
+    }
+}
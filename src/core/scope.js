@@ -0,0 +1,131 @@
+/**
+ * A view of a Pulse restricted to a topic prefix.
+ * Topics and patterns given to it are prefixed automatically; listeners and middlewares
+ * live in the parent Pulse, and `destroy()` removes every one this scope (or a nested scope) registered.
+ * @template {typeof import('./event').PulseEvent} [TEventClass=typeof import('./event').PulseEvent]
+ */
+export class ScopedPulse {
+    /**
+     * @param {import('./pulse').Pulse<TEventClass>} pulse - The root Pulse
+     * @param {string} prefix - Full prefix, nested sections included
+     * @param {ScopedPulse<TEventClass>|null} [parent]
+     */
+    constructor(pulse, prefix, parent = null) {
+        if (typeof prefix !== 'string' || !pulse.isValidTopic(prefix)) {
+            throw new Error(`Invalid scope prefix: ${prefix}`);
+        }
+
+        this.pulse = pulse;
+        this.prefix = prefix;
+        this.parent = parent;
+    }
+
+    /**
+     * Listeners, middlewares and nested scopes registered through this scope, until they are destroyed
+     * @type {Set<import('./listener').Listener<any>|import('./middleware').Middleware<any>|ScopedPulse<TEventClass>>}
+     */
+    #owned = new Set();
+
+    /** @type {boolean} */
+    #destroyed = false;
+
+    /**
+     * Whether destroy() was called, on this scope or a parent
+     * @returns {boolean}
+     */
+    get destroyed() {
+        return this.#destroyed;
+    }
+
+    /**
+     * Prefix a topic or pattern
+     * @param {string} topic
+     * @returns {string}
+     */
+    topic(topic) {
+        return `${this.prefix}:${topic}`;
+    }
+
+    /**
+     * @template T
+     * @param {T & (import('./listener').Listener<any>|import('./middleware').Middleware<any>|ScopedPulse<TEventClass>)} item
+     * @returns {T}
+     */
+    #own(item) {
+        this.#owned.add(item);
+        // Forget it once it is removed some other way (once listeners, manual destroy...); nested scopes leave on destroy()
+        if (!(item instanceof ScopedPulse)) item.onDestroy = () => this.#owned.delete(item);
+        return item;
+    }
+
+    #assertAlive() {
+        if (this.#destroyed) throw new Error(`Scope destroyed: ${this.prefix}`);
+    }
+
+    /**
+     * @param {string} pattern - Relative to the prefix
+     * @param {(context: import('./listener').ListenerContext<InstanceType<TEventClass>>) => any} callback
+     * @param {import('./listener').ListenerOptions} [options]
+     * @returns {import('./listener').Listener<InstanceType<TEventClass>>}
+     */
+    on = (pattern, callback, options = {}) => {
+        this.#assertAlive();
+        const listener = this.pulse.on(this.topic(pattern), callback, options);
+        // An already aborted signal destroys the listener before it is ever registered: nothing to own
+        if (!this.pulse.listeners.get(listener.pattern)?.has(listener)) return listener;
+        return this.#own(listener);
+    }
+
+    /**
+     * @param {string} pattern - Relative to the prefix
+     * @param {(context: import('./listener').ListenerContext<InstanceType<TEventClass>>) => any} callback
+     * @param {import('./listener').ListenerOptions} [options]
+     * @returns {import('./listener').Listener<InstanceType<TEventClass>>}
+     */
+    once = (pattern, callback, options = {}) => this.on(pattern, callback, { ...options, once: true });
+
+    /**
+     * @param {string} pattern - Relative to the prefix
+     * @param {import('./middleware').MiddlewareCallback<InstanceType<TEventClass>>} callback
+     * @param {import('./middleware').MiddlewareOptions} [options]
+     * @returns {import('./middleware').Middleware<InstanceType<TEventClass>>}
+     */
+    use = (pattern, callback, options = {}) => {
+        this.#assertAlive();
+        return this.#own(this.pulse.use(this.topic(pattern), callback, options));
+    }
+
+    /**
+     * @param {string} topic - Relative to the prefix
+     * @param {any} data
+     * @param {import('./pulse').EmitOptions} [options]
+     * @returns {Promise<InstanceType<TEventClass>>}
+     */
+    emit = async (topic, data, options = {}) => {
+        this.#assertAlive();
+        return this.pulse.emit(this.topic(topic), data, options);
+    }
+
+    /**
+     * Nested scope; its prefix is appended to this one and it is destroyed with this scope
+     * @param {string} prefix
+     * @returns {ScopedPulse<TEventClass>}
+     */
+    scope(prefix) {
+        this.#assertAlive();
+        return this.#own(new ScopedPulse(this.pulse, this.topic(prefix), this));
+    }
+
+    /**
+     * Remove every listener and middleware registered through this scope and its nested scopes.
+     * The scope can't be used afterwards.
+     */
+    destroy() {
+        if (this.#destroyed) return;
+        this.#destroyed = true;
+
+        for (const item of [...this.#owned]) item.destroy();
+        this.#owned.clear();
+        if (this.parent) this.parent.#owned.delete(this);
+    }
+}
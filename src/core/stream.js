@@ -0,0 +1,142 @@
+/**
+ * @typedef {'drop-oldest'|'drop-newest'|'error'} StreamOverflow
+ * - `drop-oldest`: discard the oldest buffered event to make room (default)
+ * - `drop-newest`: discard the incoming event
+ * - `error`: fail the stream; the next read rejects and the listener is destroyed
+ */
+
+/**
+ * @typedef {Object} StreamOptions
+ * @property {number} [highWaterMark=100] - Maximum number of buffered events
+ * @property {StreamOverflow} [overflow='drop-oldest'] - What to do when the buffer is full
+ * @property {AbortSignal} [signal] - Ends the stream when aborted
+ */
+
+/**
+ * Async iterator over the events matching a pattern.
+ * Events are buffered until read; the underlying listener is destroyed when the stream ends.
+ * @template {import('./event').PulseEvent} [TEvent=import('./event').PulseEvent]
+ * @implements {AsyncIterableIterator<TEvent>}
+ */
+export class PulseStream {
+    /**
+     * @param {import('./pulse').Pulse<any>} pulse
+     * @param {string} pattern
+     * @param {StreamOptions} [options]
+     */
+    constructor(pulse, pattern, options = {}) {
+        this.highWaterMark = options.highWaterMark ?? 100;
+        /** @type {StreamOverflow} */
+        this.overflow = options.overflow ?? 'drop-oldest';
+        this.#signal = options.signal;
+
+        if (!(this.highWaterMark > 0)) {
+            throw new Error(`Invalid highWaterMark: ${this.highWaterMark}`);
+        }
+        if (!['drop-oldest', 'drop-newest', 'error'].includes(this.overflow)) {
+            throw new Error(`Invalid overflow policy: ${this.overflow}`);
+        }
+
+        /** @type {import('./listener').Listener<TEvent>} */
+        this.listener = pulse.on(pattern, ({ event }) => this.#push(/** @type {TEvent} */ (event)), { signal: options.signal });
+
+        if (this.#signal?.aborted) this.#end();
+        else this.#signal?.addEventListener('abort', this.#end, { once: true });
+    }
+
+    /** @type {TEvent[]} */
+    #buffer = [];
+
+    /** @type {((result: IteratorResult<TEvent>) => void)[]} */
+    #readers = [];
+
+    /** @type {Error|null} */
+    #error = null;
+
+    /** @type {boolean} */
+    #done = false;
+
+    /** @type {AbortSignal|undefined} */
+    #signal;
+
+    /**
+     * Number of events waiting to be read
+     * @returns {number}
+     */
+    get size() {
+        return this.#buffer.length;
+    }
+
+    /**
+     * @param {TEvent} event
+     */
+    #push(event) {
+        if (this.#done) return;
+
+        const reader = this.#readers.shift();
+        if (reader) return reader({ value: event, done: false });
+
+        if (this.#buffer.length >= this.highWaterMark) {
+            if (this.overflow === 'drop-newest') return;
+            if (this.overflow === 'error') {
+                this.#error = new Error(`Stream buffer overflow: more than ${this.highWaterMark} unread events on ${this.listener.pattern}`);
+                this.#end();
+                return;
+            }
+            this.#buffer.shift();
+        }
+        this.#buffer.push(event);
+    }
+
+    #end = () => {
+        if (this.#done) return;
+        this.#done = true;
+        this.#signal?.removeEventListener('abort', this.#end);
+        this.listener.destroy();
+        for (const reader of this.#readers.splice(0)) {
+            reader({ value: undefined, done: true });
+        }
+    }
+
+    /**
+     * @returns {Promise<IteratorResult<TEvent>>}
+     */
+    async next() {
+        if (this.#error) {
+            const error = this.#error;
+            this.#error = null;
+            this.#buffer = [];
+            throw error;
+        }
+
+        const event = this.#buffer.shift();
+        if (event) return { value: event, done: false };
+        if (this.#done) return { value: undefined, done: true };
+
+        return new Promise(resolve => this.#readers.push(resolve));
+    }
+
+    /**
+     * End the stream and destroy its listener. Called by `break` in a `for await` loop.
+     * @returns {Promise<IteratorResult<TEvent>>}
+     */
+    async return() {
+        this.#end();
+        this.#buffer = [];
+        return { value: undefined, done: true };
+    }
+
+    /**
+     * @param {any} error
+     * @returns {Promise<IteratorResult<TEvent>>}
+     */
+    async throw(error) {
+        this.#end();
+        this.#buffer = [];
+        throw error;
+    }
+
+    [Symbol.asyncIterator]() {
+        return this;
+    }
+}
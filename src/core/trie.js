@@ -0,0 +1,201 @@
+/**
+ * @template T
+ * @typedef {Object} TrieNode
+ * @property {Map<string, TrieNode<T>>} children - Literal and wildcard (`*`, `**`, `++`) children
+ * @property {{ regex: RegExp, node: TrieNode<T> }[]} globs - Children for sections mixing text and `*` (e.g. `user*`)
+ * @property {Map<T, number>} values - Values stored at this node, with their insertion order
+ */
+
+/**
+ * Segment trie indexing values by topic pattern.
+ * Patterns are split on `:` and wildcard sections get their own nodes, so matching
+ * a topic costs O(topic depth) instead of O(registered patterns).
+ * @template T
+ */
+export class TopicTrie {
+    /** @type {TrieNode<T>} */
+    #root = TopicTrie.#createNode();
+
+    /** @type {number} */
+    #order = 0;
+
+    /** @type {number} */
+    #size = 0;
+
+    /**
+     * @template T
+     * @returns {TrieNode<T>}
+     */
+    static #createNode() {
+        return { children: new Map(), globs: [], values: new Map() };
+    }
+
+    /**
+     * Number of values stored in the trie
+     * @returns {number}
+     */
+    get size() {
+        return this.#size;
+    }
+
+    /**
+     * @param {string} pattern
+     * @param {T} value
+     */
+    add(pattern, value) {
+        let node = this.#root;
+        for (const section of pattern.split(':')) {
+            node = this.#child(node, section);
+        }
+        if (node.values.has(value)) return;
+        node.values.set(value, ++this.#order);
+        this.#size++;
+    }
+
+    /**
+     * @param {string} pattern
+     * @param {T} value
+     * @returns {boolean} True if the value was indexed under this pattern
+     */
+    remove(pattern, value) {
+        /** @type {TrieNode<T>[]} */
+        const path = [this.#root];
+        for (const section of pattern.split(':')) {
+            const parent = /** @type {TrieNode<T>} */ (path[path.length - 1]);
+            const node = section.includes('*') && !TopicTrie.#isWildcard(section)
+                ? parent.globs.find(glob => glob.regex.source === TopicTrie.#globSource(section))?.node
+                : parent.children.get(section);
+            if (!node) return false;
+            path.push(node);
+        }
+
+        const leaf = /** @type {TrieNode<T>} */ (path[path.length - 1]);
+        if (!leaf.values.delete(value)) return false;
+        this.#size--;
+
+        // Prune branches left empty so the trie doesn't grow with dead patterns
+        for (let i = path.length - 1; i > 0; i--) {
+            const node = /** @type {TrieNode<T>} */ (path[i]);
+            if (node.values.size || node.children.size || node.globs.length) break;
+            const parent = /** @type {TrieNode<T>} */ (path[i - 1]);
+            for (const [key, child] of parent.children) {
+                if (child === node) parent.children.delete(key);
+            }
+            parent.globs = parent.globs.filter(glob => glob.node !== node);
+        }
+        return true;
+    }
+
+    /**
+     * Remove every value
+     */
+    clear() {
+        this.#root = TopicTrie.#createNode();
+        this.#size = 0;
+    }
+
+    /**
+     * Collect every value whose pattern matches the topic, in insertion order
+     * @param {string} topic
+     * @returns {T[]}
+     */
+    match(topic) {
+        const sections = topic.split(':');
+        /** @type {Map<T, number>} */
+        const found = new Map();
+        /** @type {Map<TrieNode<T>, Set<number>>} */
+        const visited = new Map();
+
+        /**
+         * @param {TrieNode<T>} node
+         * @param {number} index
+         */
+        const visit = (node, index) => {
+            // ** and ++ can reach the same (node, index) through several paths
+            let seen = visited.get(node);
+            if (!seen) visited.set(node, seen = new Set());
+            if (seen.has(index)) return;
+            seen.add(index);
+
+            if (index === sections.length) {
+                for (const [value, order] of node.values) found.set(value, order);
+            }
+
+            // ** = zero or more sections
+            const zeroOrMore = node.children.get('**');
+            if (zeroOrMore) {
+                for (let next = index; next <= sections.length; next++) visit(zeroOrMore, next);
+            }
+
+            if (index === sections.length) return;
+
+            // ++ = one or more sections
+            const oneOrMore = node.children.get('++');
+            if (oneOrMore) {
+                for (let next = index + 1; next <= sections.length; next++) visit(oneOrMore, next);
+            }
+
+            const section = /** @type {string} */ (sections[index]);
+            const literal = node.children.get(section);
+            if (literal) visit(literal, index + 1);
+
+            // * = exactly one section
+            const single = node.children.get('*');
+            if (single) visit(single, index + 1);
+
+            for (const glob of node.globs) {
+                if (glob.regex.test(section)) visit(glob.node, index + 1);
+            }
+        };
+
+        visit(this.#root, 0);
+
+        return [...found.entries()]
+            .sort((a, b) => a[1] - b[1])
+            .map(([value]) => value);
+    }
+
+    /**
+     * @param {TrieNode<T>} node
+     * @param {string} section
+     * @returns {TrieNode<T>}
+     */
+    #child(node, section) {
+        if (section.includes('*') && !TopicTrie.#isWildcard(section)) {
+            const source = TopicTrie.#globSource(section);
+            let glob = node.globs.find(glob => glob.regex.source === source);
+            if (!glob) {
+                glob = { regex: new RegExp(source), node: TopicTrie.#createNode() };
+                node.globs.push(glob);
+            }
+            return glob.node;
+        }
+
+        let child = node.children.get(section);
+        if (!child) {
+            child = TopicTrie.#createNode();
+            node.children.set(section, child);
+        }
+        return child;
+    }
+
+    /**
+     * @param {string} section
+     * @returns {boolean}
+     */
+    static #isWildcard(section) {
+        return section === '*' || section === '**' || section === '++';
+    }
+
+    /**
+     * Build the regex source for a section such as `user*` (each `*` run matches one or more characters)
+     * @param {string} section
+     * @returns {string}
+     */
+    static #globSource(section) {
+        const escaped = section
+            .split(/\*+/)
+            .map(part => part.replace(/[.+?^${}()|[\]\\-]/g, '\\$&'));
+        return `^${escaped.join('[^:]+')}$`;
+    }
+}
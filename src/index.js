@@ -1,4 +1,11 @@
 export { Pulse } from './core/pulse.js';
 export { PulseEvent } from './core/event.js';
 export { Listener } from './core/listener.js';
-export { Middleware } from './core/middleware.js';
\ No newline at end of file
+export { Middleware } from './core/middleware.js';
+export { PulseStream } from './core/stream.js';
+export { ScopedPulse } from './core/scope.js';
+export { SpanRecorder } from './core/instrument.js';
+export { PulseRequestError, PulseValidationError, PulseDepthError, PulseListenerError } from './core/errors.js';
+export { TopicDefinition } from './core/schema.js';
+export { Bridge } from './transports/bridge.js';
+export { PulseSocketServer, PulseSocketClient, PulseConnection } from './transports/websocket.js';
\ No newline at end of file
@@ -0,0 +1,218 @@
+/**
+ * Anything that can carry structured-clone messages to another context:
+ * a worker_threads MessagePort or Worker, a browser MessagePort, Worker or BroadcastChannel...
+ * @typedef {Object} BridgePort
+ * @property {(message: any) => void} postMessage
+ * @property {(type: 'message', handler: (message: any) => void) => void} [on] - Node style (worker_threads)
+ * @property {(type: 'message', handler: (message: any) => void) => void} [off]
+ * @property {(type: 'message', handler: (event: { data: any }) => void) => void} [addEventListener] - DOM style
+ * @property {(type: 'message', handler: (event: { data: any }) => void) => void} [removeEventListener]
+ * @property {() => void} [start]
+ */
+
+/**
+ * @typedef {Object} BridgeOptions
+ * @property {string[]} [export=[]] - Local events matching these patterns are forwarded to the peer
+ * @property {string[]} [import=[]] - Peer events matching these patterns are emitted locally
+ */
+
+/**
+ * @typedef {{ name: string, message: string, stack?: string }} SerializedError
+ */
+
+/**
+ * @typedef {{ type: 'pulse:emit', id: string, event: import('../core/event').SerializedEvent, timeout: number }
+ *     | { type: 'pulse:reply', id: string, responses: any[], errors: SerializedError[] }} BridgeMessage
+ */
+
+/** @type {number} */
+let requestCounter = 0;
+
+/**
+ * @param {any} error
+ * @returns {SerializedError}
+ */
+export function serializeError(error) {
+    if (error instanceof Error) return { name: error.name, message: error.message, stack: error.stack };
+    return { name: 'Error', message: String(error) };
+}
+
+/**
+ * @param {SerializedError} serialized
+ * @returns {Error}
+ */
+export function deserializeError(serialized) {
+    const error = new Error(serialized.message);
+    error.name = serialized.name;
+    if (serialized.stack) error.stack = serialized.stack;
+    return error;
+}
+
+/**
+ * Forwards events between a Pulse and a peer Pulse in another context.
+ * Exported events are emitted on the peer; its responses and errors are merged back
+ * into the original event. Imported events are rebuilt with the local `EventClass`.
+ */
+export class Bridge {
+    /**
+     * @param {import('../core/pulse').Pulse<any>} pulse
+     * @param {BridgePort} port
+     * @param {BridgeOptions} [options]
+     */
+    constructor(pulse, port, options = {}) {
+        this.pulse = pulse;
+        this.port = port;
+        this.exports = options.export ?? [];
+        this.imports = options.import ?? [];
+
+        /** @type {import('../core/listener').Listener<any>[]} */
+        this.listeners = this.exports.map(pattern =>
+            pulse.on(pattern, this.#forward, { replayRetained: false })
+        );
+
+        if (typeof port.on === 'function') {
+            port.on('message', this.#receive);
+        } else {
+            port.addEventListener?.('message', this.#onMessageEvent);
+            port.start?.();
+        }
+    }
+
+    /**
+     * Replies awaited by forwarded events, by request id
+     * @type {Map<string, (reply: Extract<BridgeMessage, { type: 'pulse:reply' }>) => void>}
+     */
+    #pending = new Map();
+
+    /**
+     * Events received from the peer: never forwarded back to it
+     * @type {WeakSet<import('../core/event').PulseEvent>}
+     */
+    #imported = new WeakSet();
+
+    /** @type {boolean} */
+    #closed = false;
+
+    /**
+     * Whether the bridge was closed
+     * @returns {boolean}
+     */
+    get closed() {
+        return this.#closed;
+    }
+
+    /**
+     * @param {import('../core/listener').ListenerContext<any>} context
+     */
+    #forward = async ({ event, signal }) => {
+        if (this.#closed || this.#imported.has(event)) return;
+
+        const id = `${event.id}:${++requestCounter}`;
+        // The peer gets what is left of the emit timeout, so both sides give up together
+        const timeout = Math.max(1, event.options.timeout - (Date.now() - event.timestamp));
+
+        /** @type {Extract<BridgeMessage, { type: 'pulse:reply' }>} */
+        const reply = await new Promise((resolve, reject) => {
+            const onAbort = () => {
+                this.#pending.delete(id);
+                reject(signal.reason);
+            };
+            signal.addEventListener('abort', onAbort, { once: true });
+            this.#pending.set(id, (reply) => {
+                signal.removeEventListener('abort', onAbort);
+                resolve(reply);
+            });
+
+            try {
+                this.#send({ type: 'pulse:emit', id, event: event.toJSON(), timeout });
+            } catch (err) {
+                this.#pending.delete(id);
+                signal.removeEventListener('abort', onAbort);
+                reject(err);
+            }
+        });
+
+        for (const response of reply.responses) event.respond(response);
+        for (const error of reply.errors) event.error(deserializeError(error));
+    }
+
+    /**
+     * @param {{ data: any }} message
+     */
+    #onMessageEvent = (message) => this.#receive(message.data);
+
+    /**
+     * @param {any} message
+     */
+    #receive = async (message) => {
+        if (this.#closed || !message || typeof message !== 'object') return;
+
+        if (message.type === 'pulse:reply') {
+            const resolve = this.#pending.get(message.id);
+            this.#pending.delete(message.id);
+            resolve?.(message);
+            return;
+        }
+
+        if (message.type !== 'pulse:emit') return;
+
+        /** @type {any[]} */
+        let responses = [];
+        /** @type {SerializedError[]} */
+        let errors = [];
+
+        try {
+            // Topics the peer may emit here; anything else gets an empty reply, like a topic without listeners
+            if (this.imports.some(pattern => this.pulse.matchesPattern(message.event?.topic, pattern))) {
+                const event = this.pulse.EventClass.fromJSON(message.event);
+                this.#imported.add(event);
+                await this.pulse.dispatchEvent(event, { timeout: message.timeout });
+                responses = event.responses;
+                errors = event.errors.map(serializeError);
+            }
+        } catch (err) {
+            errors = [serializeError(err)];
+        }
+
+        if (this.#closed) return;
+        try {
+            this.#send({ type: 'pulse:reply', id: message.id, responses, errors });
+        } catch (err) {
+            // Responses that can't be cloned are reported as an error instead
+            try {
+                this.#send({ type: 'pulse:reply', id: message.id, responses: [], errors: [serializeError(err)] });
+            } catch {
+                // The port itself is unusable: the peer's timeout settles its event
+            }
+        }
+    }
+
+    /**
+     * @param {BridgeMessage} message
+     */
+    #send(message) {
+        this.port.postMessage(message);
+    }
+
+    /**
+     * Stop forwarding in both directions. Forwarded events still waiting for a reply
+     * settle right away with a 'Bridge closed' error. The port itself is left open.
+     */
+    close() {
+        if (this.#closed) return;
+        this.#closed = true;
+
+        for (const listener of this.listeners) listener.destroy();
+
+        if (typeof this.port.off === 'function') {
+            this.port.off('message', this.#receive);
+        } else {
+            this.port.removeEventListener?.('message', this.#onMessageEvent);
+        }
+
+        for (const resolve of this.#pending.values()) {
+            resolve({ type: 'pulse:reply', id: '', responses: [], errors: [{ name: 'Error', message: 'Bridge closed' }] });
+        }
+        this.#pending.clear();
+    }
+}
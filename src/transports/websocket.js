@@ -0,0 +1,525 @@
+/**
+ * WebSocket transport for remote Pulse instances.
+ *
+ * Wire format: one JSON object per text frame.
+ *
+ * Client → server
+ * - `{ type: 'subscribe', id, pattern }`
+ * - `{ type: 'unsubscribe', id, pattern }`
+ * - `{ type: 'emit', id, event, timeout }` where `event` is `PulseEvent#toJSON()` and `id` is the event id
+ *
+ * Server → client
+ * - `{ type: 'ack', id }` once a subscribe/unsubscribe is done
+ * - `{ type: 'error', id, error }` when a subscribe/unsubscribe is denied or a frame is malformed
+ * - `{ type: 'reply', id, responses, errors }` when an emit settled on the server
+ * - `{ type: 'event', event }` when a topic the client subscribed to is emitted (once per event, even if several subscriptions match)
+ *
+ * Errors are sent as `{ name, message }`, without the server's stack traces.
+ */
+
+import { Pulse } from '../core/pulse.js';
+import { serializeError, deserializeError } from './bridge.js';
+
+/**
+ * Server-side socket: only `send` is required (Bun's ServerWebSocket, the `ws` package's WebSocket...)
+ * @typedef {Object} ServerSocket
+ * @property {(frame: string) => void} send
+ */
+
+/**
+ * Client-side socket, DOM WebSocket style
+ * @typedef {Object} ClientSocket
+ * @property {(frame: string) => void} send
+ * @property {() => void} close
+ * @property {number} readyState
+ * @property {(type: string, handler: (event: any) => void) => void} addEventListener
+ */
+
+/**
+ * @typedef {Object} SocketServerOptions
+ * @property {string} [subscribeTopic='socket:subscribe'] - Topic emitted for every subscribe request, so `use()` middlewares can authorize it
+ */
+
+/**
+ * @typedef {Object} SocketClientOptions
+ * @property {import('../core/pulse').Pulse<any>} [pulse] - Local Pulse receiving remote events (a new one by default)
+ * @property {string} [deniedTopic='socket:denied'] - Topic emitted on `pulse` with `{ pattern, error }` when the server denies a subscription restored after a reconnect
+ * @property {{ delay?: number, maxDelay?: number }|false} [reconnect] - Reconnection backoff, or false to disable it
+ * @property {number} [timeout=5000] - How long subscribe() and unsubscribe() wait for the server's answer, in milliseconds
+ * @property {new (url: string) => ClientSocket} [WebSocket] - WebSocket implementation (defaults to globalThis.WebSocket)
+ */
+
+/**
+ * @param {any} raw
+ * @returns {any|null}
+ */
+const parseFrame = (raw) => {
+    try {
+        return JSON.parse(typeof raw === 'string' ? raw : new TextDecoder().decode(raw));
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Errors sent to clients keep their name and message only
+ * @param {any} error
+ * @returns {import('./bridge').SerializedError}
+ */
+const toWireError = (error) => {
+    const { name, message } = serializeError(error);
+    return { name, message };
+};
+
+/** @type {number} */
+let connectionCounter = 0;
+
+/**
+ * One client connected to a PulseSocketServer
+ */
+export class PulseConnection {
+    /**
+     * @param {PulseSocketServer} server
+     * @param {ServerSocket} socket
+     * @param {any} [data] - Anything identifying the client (user, session...), readable by middlewares
+     */
+    constructor(server, socket, data) {
+        this.server = server;
+        this.socket = socket;
+        this.data = data;
+        this.id = `connection-${++connectionCounter}`;
+
+        /** @type {Map<string, import('../core/listener').Listener<any>>} */
+        this.subscriptions = new Map();
+    }
+
+    /**
+     * Events already sent, so overlapping subscriptions deliver each event once
+     * @type {WeakSet<import('../core/event').PulseEvent>}
+     */
+    #sent = new WeakSet();
+
+    /** @type {boolean} */
+    #closed = false;
+
+    /**
+     * @param {any} frame
+     */
+    send(frame) {
+        if (!this.#closed) this.socket.send(JSON.stringify(frame));
+    }
+
+    /**
+     * Handle a frame received from the client
+     * @param {string|ArrayBuffer|Uint8Array} raw
+     */
+    async receive(raw) {
+        const frame = parseFrame(raw);
+        if (!frame || typeof frame.type !== 'string') {
+            return this.send({ type: 'error', id: frame?.id ?? null, error: { name: 'Error', message: 'Malformed frame' } });
+        }
+
+        const { pulse } = this.server;
+
+        if (frame.type === 'subscribe') {
+            // Subscriptions go through the use() chain: the server's own listener only runs if middlewares allow it
+            /** @type {any} */
+            let error = null;
+            try {
+                const event = new pulse.EventClass(this.server.subscribeTopic, { pattern: frame.pattern }, { source: this.id });
+                event.set('connection', this);
+                await pulse.dispatchEvent(event);
+                error = event.errors[0] ?? null;
+            } catch (err) {
+                // Schema validation in 'reject' mode, depth limit, throwing EventClass...
+                error = err;
+            }
+
+            if (error || !this.subscriptions.has(frame.pattern)) {
+                return this.send({ type: 'error', id: frame.id, error: toWireError(error ?? new Error(`Subscription denied: ${frame.pattern}`)) });
+            }
+            return this.send({ type: 'ack', id: frame.id });
+        }
+
+        if (frame.type === 'unsubscribe') {
+            this.subscriptions.get(frame.pattern)?.destroy();
+            this.subscriptions.delete(frame.pattern);
+            return this.send({ type: 'ack', id: frame.id });
+        }
+
+        if (frame.type === 'emit') {
+            let responses = [];
+            let errors = [];
+            try {
+                // Only the options a client may choose cross the wire: no retain, silent or dispatch override
+                const { timeout, cancelable } = frame.event.options ?? {};
+                const options = { ...(timeout !== undefined && { timeout }), cancelable: cancelable === true, source: this.id };
+                const event = pulse.EventClass.fromJSON({ ...frame.event, options });
+                event.set('connection', this);
+                await pulse.dispatchEvent(event, { timeout: frame.timeout });
+                responses = event.responses;
+                errors = event.errors.map(toWireError);
+            } catch (err) {
+                errors = [toWireError(err)];
+            }
+            return this.send({ type: 'reply', id: frame.id, responses, errors });
+        }
+
+        this.send({ type: 'error', id: frame.id ?? null, error: { name: 'Error', message: `Unknown frame type: ${frame.type}` } });
+    }
+
+    /**
+     * Start forwarding a pattern to the client. Called by the server once the subscription was authorized.
+     * @param {string} pattern
+     */
+    subscribe(pattern) {
+        if (this.#closed || this.subscriptions.has(pattern)) return;
+        this.subscriptions.set(pattern, this.server.pulse.on(pattern, ({ event }) => {
+            if (this.#sent.has(event)) return;
+            this.#sent.add(event);
+            this.send({ type: 'event', event: event.toJSON() });
+        }, { replayRetained: false }));
+    }
+
+    /**
+     * Drop every subscription. Call it when the socket closes; the socket itself is left alone.
+     */
+    close() {
+        if (this.#closed) return;
+        this.#closed = true;
+        for (const listener of this.subscriptions.values()) listener.destroy();
+        this.subscriptions.clear();
+        this.server.connections.delete(this);
+    }
+}
+
+/**
+ * Exposes a Pulse to WebSocket clients. Framework agnostic: hand it each socket with `connection()`,
+ * then forward incoming frames to `receive()` and call `close()` when the socket closes.
+ */
+export class PulseSocketServer {
+    /**
+     * @param {import('../core/pulse').Pulse<any>} pulse
+     * @param {SocketServerOptions} [options]
+     */
+    constructor(pulse, options = {}) {
+        this.pulse = pulse;
+        this.subscribeTopic = options.subscribeTopic ?? 'socket:subscribe';
+
+        /** @type {Set<PulseConnection>} */
+        this.connections = new Set();
+
+        this.listener = pulse.on(this.subscribeTopic, ({ event }) => {
+            const connection = event.get('connection');
+            if (!this.connections.has(connection)) return;
+            connection.subscribe(event.data.pattern);
+        }, { replayRetained: false });
+    }
+
+    /**
+     * Register a new client socket
+     * @param {ServerSocket} socket
+     * @param {any} [data] - Anything identifying the client, available to middlewares as `event.get('connection').data`
+     * @returns {PulseConnection}
+     */
+    connection(socket, data) {
+        const connection = new PulseConnection(this, socket, data);
+        this.connections.add(connection);
+        return connection;
+    }
+
+    /**
+     * Drop every connection and stop handling subscriptions
+     */
+    close() {
+        for (const connection of [...this.connections]) connection.close();
+        this.listener.destroy();
+    }
+}
+
+/**
+ * Connects to a PulseSocketServer. Remote events are dispatched on a local Pulse (`client.pulse`),
+ * subscriptions are restored after a reconnect.
+ */
+export class PulseSocketClient {
+    /**
+     * @param {string|(() => ClientSocket)} target - URL, or a factory creating the socket
+     * @param {SocketClientOptions} [options]
+     */
+    constructor(target, options = {}) {
+        this.target = target;
+        /** @type {{ delay: number, maxDelay: number }|false} */
+        this.reconnect = options.reconnect === false ? false : { delay: 500, maxDelay: 10000, ...options.reconnect };
+        this.#WebSocket = options.WebSocket ?? /** @type {any} */ (globalThis).WebSocket;
+
+        /** @type {import('../core/pulse').Pulse<any>} */
+        this.pulse = options.pulse ?? new Pulse();
+        this.deniedTopic = options.deniedTopic ?? 'socket:denied';
+        this.timeout = options.timeout ?? 5000;
+
+        if (!Number.isFinite(this.timeout) || this.timeout <= 0) {
+            throw new Error(`Invalid client timeout: ${this.timeout}`);
+        }
+
+        /** @type {Set<string>} */
+        this.subscriptions = new Set();
+
+        this.#connect();
+    }
+
+    /** @type {any} */
+    #WebSocket;
+
+    /** @type {ClientSocket|null} */
+    #socket = null;
+
+    /**
+     * Frames sent while disconnected, by frame id
+     * @type {Map<string, string>}
+     */
+    #queue = new Map();
+
+    /**
+     * Ids of the frames sent on the current socket and still waiting for an answer
+     * @type {Set<string>}
+     */
+    #inFlight = new Set();
+
+    /**
+     * Subscribe/unsubscribe frames waiting for an ack, by frame id
+     * @type {Map<string, { resolve: () => void, reject: (error: Error) => void }>}
+     */
+    #controls = new Map();
+
+    /**
+     * Emits waiting for a reply, by event id
+     * @type {Map<string, (reply: { responses: any[], errors: import('./bridge').SerializedError[] }) => void>}
+     */
+    #emits = new Map();
+
+    /**
+     * Subscriptions restored after a reconnect and waiting for an ack, by frame id
+     * @type {Map<string, string>}
+     */
+    #restoring = new Map();
+
+    /** @type {number} */
+    #frameCounter = 0;
+
+    /** @type {number} */
+    #attempts = 0;
+
+    /** @type {ReturnType<typeof setTimeout>|undefined} */
+    #reconnectTimer;
+
+    /** @type {boolean} */
+    #closed = false;
+
+    /**
+     * Whether the socket is open
+     * @returns {boolean}
+     */
+    get connected() {
+        return this.#socket?.readyState === 1;
+    }
+
+    #connect() {
+        const socket = typeof this.target === 'function' ? this.target() : new this.#WebSocket(this.target);
+        this.#socket = socket;
+
+        socket.addEventListener('open', () => {
+            this.#attempts = 0;
+            // Restore subscriptions first, then flush what was sent while disconnected
+            for (const pattern of this.subscriptions) {
+                const id = `resubscribe-${++this.#frameCounter}`;
+                this.#restoring.set(id, pattern);
+                socket.send(JSON.stringify({ type: 'subscribe', id, pattern }));
+            }
+            for (const [id, frame] of this.#queue) {
+                this.#inFlight.add(id);
+                socket.send(frame);
+            }
+            this.#queue.clear();
+        });
+
+        socket.addEventListener('message', (/** @type {{ data: any }} */ message) => this.#receive(message.data));
+
+        socket.addEventListener('close', () => {
+            if (this.#socket !== socket) return;
+            this.#socket = null;
+
+            // The server forgot the frames sent on this socket; restored subscriptions are resent on open,
+            // frames still queued wait for the next connection (or their own timeout)
+            this.#restoring.clear();
+            this.#failPending('Connection lost', this.#inFlight);
+            this.#inFlight.clear();
+
+            if (this.#closed || !this.reconnect) return;
+            const delay = Math.min(this.reconnect.delay * 2 ** this.#attempts++, this.reconnect.maxDelay);
+            this.#reconnectTimer = setTimeout(() => this.#connect(), delay);
+        });
+    }
+
+    /**
+     * @param {any} raw
+     */
+    #receive(raw) {
+        const frame = parseFrame(raw);
+        if (!frame) return;
+
+        if (frame.type === 'event') {
+            this.pulse.dispatchEvent(this.pulse.EventClass.fromJSON(frame.event)).catch(() => {});
+        } else if (frame.type === 'reply') {
+            const resolve = this.#emits.get(frame.id);
+            this.#emits.delete(frame.id);
+            this.#inFlight.delete(frame.id);
+            resolve?.(frame);
+        } else if (this.#restoring.has(frame.id)) {
+            const pattern = /** @type {string} */ (this.#restoring.get(frame.id));
+            this.#restoring.delete(frame.id);
+            if (frame.type === 'error') this.#deny(pattern, deserializeError(frame.error));
+        } else if (frame.type === 'ack' || frame.type === 'error') {
+            const pending = this.#controls.get(frame.id);
+            this.#controls.delete(frame.id);
+            this.#inFlight.delete(frame.id);
+            if (frame.type === 'ack') pending?.resolve();
+            else pending?.reject(deserializeError(frame.error));
+        }
+    }
+
+    /**
+     * @param {any} frame
+     */
+    #send(frame) {
+        const raw = JSON.stringify(frame);
+        if (this.connected) {
+            this.#inFlight.add(frame.id);
+            this.#socket?.send(raw);
+        } else {
+            this.#queue.set(frame.id, raw);
+        }
+    }
+
+    /**
+     * Settle pending frames with an error: those with the given ids, or all of them.
+     * Queued frames are dropped with them, so they are never sent late.
+     * @param {string} message
+     * @param {Set<string>} [ids]
+     */
+    #failPending(message, ids) {
+        for (const [id, resolve] of this.#emits) {
+            if (ids && !ids.has(id)) continue;
+            this.#emits.delete(id);
+            this.#queue.delete(id);
+            resolve({ responses: [], errors: [{ name: 'Error', message }] });
+        }
+        for (const [id, { reject }] of this.#controls) {
+            if (ids && !ids.has(id)) continue;
+            this.#controls.delete(id);
+            this.#queue.delete(id);
+            reject(new Error(message));
+        }
+    }
+
+    /**
+     * The server denied a restored subscription: forget it and report it on the local Pulse
+     * @param {string} pattern
+     * @param {Error} error
+     */
+    #deny(pattern, error) {
+        this.subscriptions.delete(pattern);
+        this.pulse.emit(this.deniedTopic, { pattern, error }).catch(() => {});
+    }
+
+    /**
+     * @param {'subscribe'|'unsubscribe'} type
+     * @param {string} pattern
+     * @returns {Promise<void>}
+     */
+    #control(type, pattern) {
+        if (this.#closed) return Promise.reject(new Error('Client closed'));
+        const id = `frame-${++this.#frameCounter}`;
+        return new Promise((resolve, reject) => {
+            const timeoutId = setTimeout(() => {
+                this.#controls.delete(id);
+                this.#queue.delete(id);
+                this.#inFlight.delete(id);
+                reject(new Error(`Remote ${type} timed out after ${this.timeout}ms for pattern: ${pattern}`));
+            }, this.timeout);
+            this.#controls.set(id, {
+                resolve: () => { clearTimeout(timeoutId); resolve(); },
+                reject: (error) => { clearTimeout(timeoutId); reject(error); },
+            });
+            this.#send({ type, id, pattern });
+        });
+    }
+
+    /**
+     * Ask the server to forward events matching a pattern. Resolves once the server accepted it,
+     * rejects if a middleware denied it. Listen to the events on `client.pulse`.
+     * @param {string} pattern
+     * @returns {Promise<void>}
+     */
+    async subscribe(pattern) {
+        await this.#control('subscribe', pattern);
+        this.subscriptions.add(pattern);
+    }
+
+    /**
+     * @param {string} pattern
+     * @returns {Promise<void>}
+     */
+    async unsubscribe(pattern) {
+        this.subscriptions.delete(pattern);
+        await this.#control('unsubscribe', pattern);
+    }
+
+    /**
+     * Emit on the server. Resolves with a local event holding the server's responses and errors.
+     * @param {string} topic
+     * @param {any} data
+     * @param {import('../core/pulse').EmitOptions} [options]
+     * @returns {Promise<import('../core/event').PulseEvent>}
+     */
+    async emit(topic, data, options = {}) {
+        const event = new this.pulse.EventClass(topic, data, options);
+        const timeout = event.options.timeout;
+
+        /** @type {{ responses: any[], errors: import('./bridge').SerializedError[] }} */
+        const reply = this.#closed
+            ? { responses: [], errors: [{ name: 'Error', message: 'Client closed' }] }
+            : await new Promise((resolve) => {
+                const timeoutId = setTimeout(() => {
+                    this.#emits.delete(event.id);
+                    this.#queue.delete(event.id);
+                    this.#inFlight.delete(event.id);
+                    resolve({ responses: [], errors: [{ name: 'Error', message: `Remote emit timed out after ${timeout}ms for topic: ${topic}` }] });
+                }, timeout);
+                this.#emits.set(event.id, (reply) => {
+                    clearTimeout(timeoutId);
+                    resolve(reply);
+                });
+                this.#send({ type: 'emit', id: event.id, event: event.toJSON(), timeout });
+            });
+
+        for (const response of reply.responses) event.respond(response);
+        for (const error of reply.errors) event.error(deserializeError(error));
+        return event;
+    }
+
+    /**
+     * Close the socket for good (no reconnection). Pending calls settle with a "Client closed" error.
+     */
+    close() {
+        if (this.#closed) return;
+        this.#closed = true;
+        clearTimeout(this.#reconnectTimer);
+        this.#socket?.close();
+        this.#socket = null;
+        this.#queue.clear();
+        this.#inFlight.clear();
+        this.#restoring.clear();
+
+        this.#failPending('Client closed');
+    }
+}
@@ -0,0 +1,148 @@
+// tests/bridge.test.js
+import { describe, expect, test, beforeEach, afterEach, mock } from "bun:test";
+import { MessageChannel as NodeMessageChannel } from "node:worker_threads";
+import { Pulse } from "../src/core/pulse";
+import { PulseEvent } from "../src/core/event";
+import { Bridge } from "../src/transports/bridge";
+
+describe("Bridge", () => {
+    let main, worker, channel;
+
+    beforeEach(() => {
+        main = new Pulse();
+        worker = new Pulse();
+        channel = new MessageChannel();
+    });
+
+    afterEach(() => {
+        channel.port1.close();
+        channel.port2.close();
+    });
+
+    test("should forward exported events and merge remote responses", async () => {
+        const bridge = main.bridge(channel.port1, { export: ["chat:**"] });
+        worker.bridge(channel.port2, { import: ["chat:**"] });
+        worker.on("chat:message", ({event}) => `echo:${event.data.text}`);
+
+        expect(bridge).toBeInstanceOf(Bridge);
+        const event = await main.emit("chat:message", { text: "hi" });
+        expect(event.responses).toEqual(["echo:hi"]);
+    });
+
+    test("should merge remote errors back into the original event", async () => {
+        main.bridge(channel.port1, { export: ["job:**"] });
+        worker.bridge(channel.port2, { import: ["job:**"] });
+        worker.on("job:run", () => { throw new TypeError("bad job"); });
+
+        const event = await main.emit("job:run", {});
+        expect(event.errors.length).toBe(1);
+        expect(event.errors[0].name).toBe("TypeError");
+        expect(event.errors[0].message).toBe("bad job");
+    });
+
+    test("should ignore topics the peer does not import", async () => {
+        const handler = mock(() => "nope");
+        main.bridge(channel.port1, { export: ["**"] });
+        worker.bridge(channel.port2, { import: ["chat:**"] });
+        worker.on("user:login", handler);
+
+        const event = await main.emit("user:login", {});
+        expect(handler).toHaveBeenCalledTimes(0);
+        expect(event.responses).toEqual([]);
+        expect(event.errors).toEqual([]);
+    });
+
+    test("should rebuild events with the peer's EventClass", async () => {
+        class WorkerEvent extends PulseEvent {}
+        const custom = new Pulse({ EventClass: WorkerEvent });
+        main.bridge(channel.port1, { export: ["test"] });
+        custom.bridge(channel.port2, { import: ["test"] });
+
+        let received;
+        custom.on("test", ({event}) => { received = event; });
+
+        const event = await main.emit("test", { n: 1 });
+        expect(received).toBeInstanceOf(WorkerEvent);
+        expect(received.id).toBe(event.id);
+        expect(received.timestamp).toBe(event.timestamp);
+        expect(received.data).toEqual({ n: 1 });
+    });
+
+    test("should respect the emit timeout across the boundary", async () => {
+        let remoteSignal;
+        main.bridge(channel.port1, { export: ["slow"] });
+        worker.bridge(channel.port2, { import: ["slow"] });
+        worker.on("slow", async ({signal}) => {
+            remoteSignal = signal;
+            await new Promise(resolve => setTimeout(resolve, 200));
+        });
+
+        const event = await main.emit("slow", {}, { timeout: 30 });
+        expect(event.errors[0].message).toContain("timed out");
+
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(remoteSignal.aborted).toBe(true);
+    });
+
+    test("should not echo events back to the peer they came from", async () => {
+        main.bridge(channel.port1, { export: ["chat:**"], import: ["chat:**"] });
+        worker.bridge(channel.port2, { export: ["chat:**"], import: ["chat:**"] });
+        const handler = mock(() => "worker");
+        worker.on("chat:message", handler);
+
+        const event = await main.emit("chat:message", {});
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(event.responses).toEqual(["worker"]);
+    });
+
+    test("should work with worker_threads ports", async () => {
+        const nodeChannel = new NodeMessageChannel();
+        main.bridge(nodeChannel.port1, { export: ["test"] });
+        worker.bridge(nodeChannel.port2, { import: ["test"] });
+        worker.on("test", () => 42);
+
+        const event = await main.emit("test", {});
+        expect(event.responses).toEqual([42]);
+        nodeChannel.port1.close();
+        nodeChannel.port2.close();
+    });
+
+    test("close() should stop forwarding", async () => {
+        const bridge = main.bridge(channel.port1, { export: ["test"] });
+        worker.bridge(channel.port2, { import: ["test"] });
+        worker.on("test", () => 42);
+
+        bridge.close();
+        expect(bridge.closed).toBe(true);
+        expect(main.listeners.size).toBe(0);
+
+        const event = await main.emit("test", {});
+        expect(event.responses).toEqual([]);
+    });
+
+    test("close() should settle pending forwards with a 'Bridge closed' error", async () => {
+        const bridge = main.bridge(channel.port1, { export: ["test"] });
+        worker.bridge(channel.port2, { import: ["test"] });
+        worker.on("test", () => new Promise(() => {}));
+
+        const pending = main.emit("test", {}, { timeout: 1000 });
+        await new Promise(resolve => setTimeout(resolve, 20));
+        bridge.close();
+
+        const event = await pending;
+        expect(event.errors.map(error => error.message)).toEqual(["Bridge closed"]);
+    });
+
+    test("should not throw when the port can't send a reply", async () => {
+        let receive;
+        const port = {
+            on: (type, handler) => { receive = handler; },
+            postMessage: () => { throw new Error("Port closed"); },
+        };
+        worker.bridge(port, { import: ["test"] });
+        worker.on("test", () => 42);
+
+        await expect(receive({ type: "pulse:emit", id: "1", event: new PulseEvent("test", {}).toJSON(), timeout: 100 })).resolves.toBeUndefined();
+        await expect(receive({ type: "pulse:emit", id: "2", timeout: 100 })).resolves.toBeUndefined();
+    });
+});
\ No newline at end of file
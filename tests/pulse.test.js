@@ -4,6 +4,12 @@ import { Pulse } from "../src/core/pulse";
 import { Listener } from "../src/core/listener";
 import { PulseEvent } from "../src/core/event";
 import { Middleware } from "../src/core/middleware";
+import { TopicTrie } from "../src/core/trie";
+import { PulseStream } from "../src/core/stream";
+import { PulseRequestError, PulseValidationError, PulseDepthError, PulseListenerError } from "../src/core/errors";
+import { validateSchema } from "../src/core/schema";
+import { EventHistory } from "../src/core/history";
+import { SpanRecorder } from "../src/core/instrument";
 
 describe("Pulse", () => {
     let pulse;
@@ -476,4 +482,2198 @@ describe("Pulse", () => {
             expect(new Set(ids).size).toBe(3);
         });
     });
+
+    describe("Topic index", () => {
+        test("should match wildcard sections like the pattern compiler", () => {
+            const trie = new TopicTrie();
+            const patterns = ["user:*", "user:**", "user:++", "**:login", "user:**:login", "user:*:login", "++", "user:login"];
+            patterns.forEach(pattern => trie.add(pattern, pattern));
+
+            for (const topic of ["user", "login", "user:login", "user:admin:login", "app:user:login", "user:profile:view"]) {
+                const expected = patterns.filter(pattern => pulse.matchesPattern(topic, pattern));
+                expect(trie.match(topic)).toEqual(expected);
+            }
+        });
+
+        test("should support sections mixing text and *", async () => {
+            const spy = mock(() => {});
+            pulse.on("user*:login", spy);
+
+            await pulse.emit("users:login", {});
+            await pulse.emit("user:login", {});
+
+            expect(spy).toHaveBeenCalledTimes(1);
+        });
+
+        test("should deliver to listeners in registration order across patterns", async () => {
+            pulse.on("test:**", () => "first");
+            pulse.on("test:foo", () => "second");
+            pulse.on("test:*", () => "third");
+
+            const result = await pulse.emit("test:foo", {});
+            expect(result.responses).toEqual(["first", "second", "third"]);
+        });
+
+        test("should stay in sync when listeners and middlewares are removed", async () => {
+            const listener = pulse.on("test:*", () => "removed");
+            pulse.on("other:*", () => {});
+            const middleware = pulse.use("test:**", async ({event}, next) => {
+                event.respond("middleware");
+                await next();
+            });
+
+            listener.destroy();
+            middleware.destroy();
+            pulse.off("other:*");
+
+            expect(pulse.listenerIndex.size).toBe(0);
+            expect(pulse.middlewareIndex.size).toBe(0);
+            const result = await pulse.emit("test:foo", {});
+            expect(result.responses).toEqual([]);
+        });
+    });
+
+    describe("Middleware scope", () => {
+        test("event-scoped middleware should run once per emit", async () => {
+            const middleware = mock(async ({event, listener}, next) => {
+                expect(listener).toBeNull();
+                event.data.count++;
+                await next();
+            });
+            pulse.use("user:**", middleware, { scope: "event" });
+
+            pulse.on("user:login", ({event}) => event.data.count);
+            pulse.on("user:*", ({event}) => event.data.count);
+            pulse.on("user:**", ({event}) => event.data.count);
+
+            const result = await pulse.emit("user:login", { count: 0 });
+            expect(middleware).toHaveBeenCalledTimes(1);
+            expect(result.responses).toEqual([1, 1, 1]);
+        });
+
+        test("next() should resolve after every listener settled", async () => {
+            let seen;
+            pulse.use("test", async ({event}, next) => {
+                await next();
+                seen = { responses: [...event.responses], errors: event.errors.length };
+            }, { scope: "event" });
+
+            pulse.on("test", async () => {
+                await new Promise(resolve => setTimeout(resolve, 20));
+                return "slow";
+            });
+            pulse.on("test", () => { throw new Error("fail"); });
+
+            await pulse.emit("test", {});
+            expect(seen).toEqual({ responses: ["slow"], errors: 1 });
+        });
+
+        test("event-scoped middleware should block every listener", async () => {
+            const handler = mock(() => {});
+            pulse.use("test", async ({event}) => {
+                event.error(new Error("denied"));
+            }, { scope: "event" });
+            pulse.on("test", handler);
+            pulse.on("test", handler);
+
+            const result = await pulse.emit("test", {});
+            expect(handler).toHaveBeenCalledTimes(0);
+            expect(result.errors[0].message).toBe("denied");
+        });
+
+        test("event-scoped middleware should run when no listener matches", async () => {
+            const middleware = mock(async (context, next) => next());
+            pulse.use("test", middleware, { scope: "event" });
+
+            await pulse.emit("test", {});
+            expect(middleware).toHaveBeenCalledTimes(1);
+        });
+
+        test("listener scope should stay available explicitly", async () => {
+            const middleware = mock(async (context, next) => next());
+            pulse.use("test", middleware, { scope: "listener" });
+            pulse.on("test", () => {});
+            pulse.on("test", () => {});
+
+            await pulse.emit("test", {});
+            expect(middleware).toHaveBeenCalledTimes(2);
+        });
+
+        test("should run event-scoped middleware around listener-scoped ones", async () => {
+            const sequence = [];
+            pulse.use("test", async (context, next) => {
+                sequence.push("listener");
+                await next();
+            });
+            pulse.use("test", async (context, next) => {
+                sequence.push("event:before");
+                await next();
+                sequence.push("event:after");
+            }, { scope: "event" });
+            pulse.on("test", () => { sequence.push("handler"); });
+
+            await pulse.emit("test", {});
+            expect(sequence).toEqual(["event:before", "listener", "handler", "event:after"]);
+        });
+
+        test("should reject unknown scopes", () => {
+            expect(() => pulse.use("test", async () => {}, { scope: "global" })).toThrow("Invalid middleware scope");
+        });
+    });
+
+    describe("Priorities and dispatch modes", () => {
+        const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+        test("should run higher priority listeners first", async () => {
+            pulse.on("test", () => "low", { priority: -1 });
+            pulse.on("test", () => "default");
+            pulse.on("test", () => "high", { priority: 10 });
+
+            const result = await pulse.emit("test", {});
+            expect(result.responses).toEqual(["high", "default", "low"]);
+        });
+
+        test("sequential mode should run listeners one after another", async () => {
+            const seen = [];
+            pulse.on("order:save", async ({event}) => {
+                seen.push([...event.responses]);
+                return "persisted";
+            });
+            pulse.on("order:save", async ({event}) => {
+                await delay(20);
+                seen.push([...event.responses]);
+                return "validated";
+            }, { priority: 10 });
+
+            const result = await pulse.emit("order:save", {}, { dispatch: "sequential" });
+            expect(result.responses).toEqual(["validated", "persisted"]);
+            expect(seen).toEqual([[], ["validated"]]);
+        });
+
+        test("priority-groups mode should run each priority level in parallel", async () => {
+            const sequence = [];
+            const handler = (name, ms) => async () => {
+                sequence.push(`${name}:start`);
+                await delay(ms);
+                sequence.push(`${name}:end`);
+            };
+            pulse.on("test", handler("a", 20), { priority: 1 });
+            pulse.on("test", handler("b", 10), { priority: 1 });
+            pulse.on("test", handler("c", 0));
+
+            await pulse.emit("test", {}, { dispatch: "priority-groups" });
+            expect(sequence).toEqual(["a:start", "b:start", "b:end", "a:end", "c:start", "c:end"]);
+        });
+
+        test("should use the dispatch mode set on the Pulse instance", async () => {
+            const sequential = new Pulse({ dispatch: "sequential" });
+            const sequence = [];
+            sequential.on("test", async () => { await delay(10); sequence.push(1); });
+            sequential.on("test", () => { sequence.push(2); });
+
+            await sequential.emit("test", {});
+            expect(sequence).toEqual([1, 2]);
+        });
+
+        test("should reject unknown dispatch modes", async () => {
+            expect(() => new Pulse({ dispatch: "random" })).toThrow("Invalid dispatch mode");
+            await expect(pulse.emit("test", {}, { dispatch: "random" })).rejects.toThrow("Invalid dispatch mode");
+        });
+    });
+
+    describe("Propagation control", () => {
+        test("stopPropagation should skip lower priorities in sequential dispatch", async () => {
+            pulse.on("test", ({event}) => { event.stopPropagation(); return "first"; }, { priority: 1 });
+            pulse.on("test", () => "same priority", { priority: 1 });
+            pulse.on("test", () => "lower");
+
+            const result = await pulse.emit("test", {}, { dispatch: "sequential" });
+            expect(result.responses).toEqual(["first", "same priority"]);
+            expect(result.propagationStopped).toBe(true);
+        });
+
+        test("stopImmediatePropagation should skip every remaining listener", async () => {
+            pulse.on("test", ({event}) => { event.stopImmediatePropagation(); return "first"; }, { priority: 1 });
+            pulse.on("test", () => "same priority", { priority: 1 });
+            pulse.on("test", () => "lower");
+
+            const result = await pulse.emit("test", {}, { dispatch: "sequential" });
+            expect(result.responses).toEqual(["first"]);
+        });
+
+        test("stopPropagation should skip the next groups in priority-groups dispatch", async () => {
+            pulse.on("test", ({event}) => { event.stopPropagation(); return "a"; }, { priority: 1 });
+            pulse.on("test", () => "b", { priority: 1 });
+            pulse.on("test", () => "c");
+
+            const result = await pulse.emit("test", {}, { dispatch: "priority-groups" });
+            expect(result.responses).toEqual(["a", "b"]);
+        });
+
+        test("event-scoped middleware can stop propagation before dispatch", async () => {
+            const handler = mock(() => {});
+            pulse.use("test", async ({event}, next) => {
+                event.stopPropagation();
+                await next();
+            }, { scope: "event" });
+            pulse.on("test", handler);
+
+            await pulse.emit("test", {});
+            expect(handler).toHaveBeenCalledTimes(0);
+        });
+
+        test("preventDefault should only flag cancelable events", async () => {
+            pulse.on("user:before:delete", ({event}) => { event.preventDefault(); });
+
+            const vetoed = await pulse.emit("user:before:delete", {}, { cancelable: true });
+            expect(vetoed.cancelable).toBe(true);
+            expect(vetoed.defaultPrevented).toBe(true);
+
+            const ignored = await pulse.emit("user:before:delete", {});
+            expect(ignored.defaultPrevented).toBe(false);
+        });
+    });
+
+    describe("Abort signals", () => {
+        const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+        test("should abort the listener signal on timeout", async () => {
+            let signal;
+            pulse.on("test", async (context) => {
+                signal = context.signal;
+                await delay(50);
+            });
+
+            const result = await pulse.emit("test", {}, { timeout: 10 });
+            expect(signal.aborted).toBe(true);
+            expect(signal.reason.message).toContain("timed out");
+            expect(result.errors[0]).toBe(signal.reason);
+        });
+
+        test("should pass the listener signal to listener-scoped middlewares", async () => {
+            let middlewareSignal, listenerSignal;
+            pulse.use("test", async ({signal}, next) => {
+                middlewareSignal = signal;
+                await next();
+            });
+            pulse.on("test", ({signal}) => { listenerSignal = signal; });
+
+            await pulse.emit("test", {});
+            expect(middlewareSignal).toBeInstanceOf(AbortSignal);
+            expect(middlewareSignal).toBe(listenerSignal);
+        });
+
+        test("should cancel a running emit", async () => {
+            const controller = new AbortController();
+            const later = mock(() => {});
+            let signal;
+            pulse.on("test", async (context) => {
+                signal = context.signal;
+                await delay(1000);
+            }, { priority: 1 });
+            pulse.on("test", later);
+
+            setTimeout(() => controller.abort(new Error("cancelled")), 10);
+            const start = Date.now();
+            const result = await pulse.emit("test", {}, { signal: controller.signal, dispatch: "sequential" });
+
+            expect(Date.now() - start).toBeLessThan(500);
+            expect(signal.aborted).toBe(true);
+            expect(later).toHaveBeenCalledTimes(0);
+            expect(result.errors.map(error => error.message)).toEqual(["cancelled"]);
+        });
+
+        test("should not run listeners when the emit signal is already aborted", async () => {
+            const handler = mock(() => {});
+            pulse.on("test", handler);
+
+            const result = await pulse.emit("test", {}, { signal: AbortSignal.abort() });
+            expect(handler).toHaveBeenCalledTimes(0);
+            expect(result.errors.length).toBe(1);
+        });
+
+        test("should remove the listener when its signal aborts", () => {
+            const controller = new AbortController();
+            pulse.on("test", () => {}, { signal: controller.signal });
+            expect(pulse.listeners.has("test")).toBe(true);
+
+            controller.abort();
+            expect(pulse.listeners.has("test")).toBe(false);
+            expect(pulse.listenerIndex.size).toBe(0);
+        });
+
+        test("should not register a listener whose signal is already aborted", () => {
+            pulse.on("test", () => {}, { signal: AbortSignal.abort() });
+            expect(pulse.listeners.has("test")).toBe(false);
+        });
+    });
+
+    describe("Streams", () => {
+        test("should iterate over matching events", async () => {
+            const stream = pulse.stream("chat:**");
+            expect(stream).toBeInstanceOf(PulseStream);
+
+            await pulse.emit("chat:message", { text: "hello" });
+            await pulse.emit("user:login", {});
+            await pulse.emit("chat:room:join", { room: 1 });
+
+            const topics = [];
+            for await (const event of stream) {
+                topics.push(event.topic);
+                if (topics.length === 2) break;
+            }
+
+            expect(topics).toEqual(["chat:message", "chat:room:join"]);
+            expect(pulse.listeners.size).toBe(0);
+        });
+
+        test("should wait for the next event when the buffer is empty", async () => {
+            const stream = pulse.stream("test");
+            const next = stream.next();
+
+            await pulse.emit("test", { n: 1 });
+            const result = await next;
+            expect(result.done).toBe(false);
+            expect(result.value.data).toEqual({ n: 1 });
+            await stream.return();
+        });
+
+        test("drop-oldest should keep the most recent events", async () => {
+            const stream = pulse.stream("test", { highWaterMark: 2 });
+            for (let n = 1; n <= 4; n++) await pulse.emit("test", n);
+
+            expect(stream.size).toBe(2);
+            expect((await stream.next()).value.data).toBe(3);
+            expect((await stream.next()).value.data).toBe(4);
+            await stream.return();
+        });
+
+        test("drop-newest should keep the first events", async () => {
+            const stream = pulse.stream("test", { highWaterMark: 2, overflow: "drop-newest" });
+            for (let n = 1; n <= 4; n++) await pulse.emit("test", n);
+
+            expect((await stream.next()).value.data).toBe(1);
+            expect((await stream.next()).value.data).toBe(2);
+            await stream.return();
+        });
+
+        test("error overflow should fail the stream and destroy its listener", async () => {
+            const stream = pulse.stream("test", { highWaterMark: 1, overflow: "error" });
+            await pulse.emit("test", 1);
+            await pulse.emit("test", 2);
+
+            expect(pulse.listeners.size).toBe(0);
+            await expect(stream.next()).rejects.toThrow("Stream buffer overflow");
+            expect((await stream.next()).done).toBe(true);
+        });
+
+        test("aborting the signal should end the stream", async () => {
+            const controller = new AbortController();
+            const stream = pulse.stream("test", { signal: controller.signal });
+            const next = stream.next();
+
+            controller.abort();
+            expect((await next).done).toBe(true);
+            expect(pulse.listeners.size).toBe(0);
+        });
+
+        test("return() should destroy the listener", async () => {
+            const stream = pulse.stream("test");
+            expect(pulse.listeners.size).toBe(1);
+            await stream.return();
+            expect(pulse.listeners.size).toBe(0);
+        });
+    });
+
+    describe("waitFor", () => {
+        test("should resolve with the next matching event", async () => {
+            const waiting = pulse.waitFor("order:*:paid");
+            await pulse.emit("order:42:paid", { id: 42 });
+
+            const event = await waiting;
+            expect(event).toBeInstanceOf(PulseEvent);
+            expect(event.topic).toBe("order:42:paid");
+            expect(pulse.listeners.size).toBe(0);
+        });
+
+        test("should skip events rejected by the filter", async () => {
+            const waiting = pulse.waitFor("order:*:paid", { filter: (event) => event.data.id === 2 });
+            await pulse.emit("order:1:paid", { id: 1 });
+            await pulse.emit("order:2:paid", { id: 2 });
+
+            expect((await waiting).data.id).toBe(2);
+            expect(pulse.listeners.size).toBe(0);
+        });
+
+        test("should reject and clean up on timeout", async () => {
+            await expect(pulse.waitFor("test", { timeout: 10 })).rejects.toThrow("waitFor timed out after 10ms");
+            expect(pulse.listeners.size).toBe(0);
+        });
+
+        test("should reject and clean up on abort", async () => {
+            const controller = new AbortController();
+            const waiting = pulse.waitFor("test", { signal: controller.signal });
+            controller.abort(new Error("stop waiting"));
+
+            await expect(waiting).rejects.toThrow("stop waiting");
+            expect(pulse.listeners.size).toBe(0);
+        });
+
+        test("should reject when the filter throws", async () => {
+            const waiting = pulse.waitFor("test", { filter: () => { throw new Error("bad filter"); } });
+            await pulse.emit("test", {});
+
+            await expect(waiting).rejects.toThrow("bad filter");
+            expect(pulse.listeners.size).toBe(0);
+        });
+    });
+
+    describe("Request/reply", () => {
+        const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+        test("all should resolve with every response", async () => {
+            pulse.on("price:get", () => 10);
+            pulse.on("price:get", () => 12);
+
+            expect(await pulse.request("price:get", {})).toEqual([10, 12]);
+        });
+
+        test("first should resolve with the first response and abandon the rest", async () => {
+            let slowSignal;
+            pulse.on("price:get", async ({signal}) => {
+                slowSignal = signal;
+                await delay(1000);
+                return "slow";
+            });
+            pulse.on("price:get", async () => {
+                await delay(5);
+                return "fast";
+            });
+
+            const start = Date.now();
+            expect(await pulse.request("price:get", {}, { strategy: "first" })).toBe("fast");
+            expect(Date.now() - start).toBeLessThan(500);
+            expect(slowSignal.aborted).toBe(true);
+        });
+
+        test("first should ignore failing listeners when another one responds", async () => {
+            pulse.on("price:get", () => { throw new Error("down"); });
+            pulse.on("price:get", async () => { await delay(5); return 42; });
+
+            expect(await pulse.request("price:get", {}, { strategy: "first" })).toBe(42);
+        });
+
+        test("reduce should fold the responses", async () => {
+            pulse.on("stock:count", () => 3);
+            pulse.on("stock:count", () => 4);
+
+            const total = await pulse.request("stock:count", {}, { strategy: "reduce", reducer: (sum, n) => sum + n, initial: 0 });
+            expect(total).toBe(7);
+        });
+
+        test("should reject with an aggregate error when listeners fail", async () => {
+            const error = new Error("down");
+            pulse.on("price:get", () => { throw error; });
+            pulse.on("price:get", () => 10);
+
+            const rejection = await pulse.request("price:get", {}).catch(e => e);
+            expect(rejection).toBeInstanceOf(PulseRequestError);
+            expect(rejection).toBeInstanceOf(AggregateError);
+            expect(rejection.errors).toEqual([error]);
+            expect(rejection.event.responses).toEqual([10]);
+        });
+
+        test("should reject when no listener matches", async () => {
+            const rejection = await pulse.request("nobody:home", {}).catch(e => e);
+            expect(rejection).toBeInstanceOf(PulseRequestError);
+            expect(rejection.message).toBe("No listener matched topic: nobody:home");
+        });
+
+        test("first should reject when no listener responds", async () => {
+            pulse.on("price:get", () => {});
+            await expect(pulse.request("price:get", {}, { strategy: "first" })).rejects.toThrow("No response for topic: price:get");
+        });
+
+        test("should validate the strategy", async () => {
+            await expect(pulse.request("test", {}, { strategy: "any" })).rejects.toThrow("Invalid request strategy");
+            await expect(pulse.request("test", {}, { strategy: "reduce" })).rejects.toThrow("requires a reducer");
+        });
+    });
+
+    describe("Retained events", () => {
+        const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+        test("should replay the retained event to late subscribers", async () => {
+            await pulse.emit("system:database:connected", { host: "a" }, { retain: true });
+            await pulse.emit("system:database:connected", { host: "b" }, { retain: true });
+
+            const handler = mock(({event}) => event.data.host);
+            pulse.on("system:**", handler);
+            await flush();
+
+            expect(handler).toHaveBeenCalledTimes(1);
+            expect(handler.mock.calls[0][0].event.data).toEqual({ host: "b" });
+        });
+
+        test("should not replay to listeners that opt out", async () => {
+            await pulse.emit("system:ready", {}, { retain: true });
+
+            const handler = mock(() => {});
+            pulse.on("system:ready", handler, { replayRetained: false });
+            await flush();
+
+            expect(handler).toHaveBeenCalledTimes(0);
+        });
+
+        test("should only replay to the new listener", async () => {
+            const existing = mock(() => {});
+            pulse.on("system:ready", existing);
+            await pulse.emit("system:ready", {}, { retain: true });
+
+            pulse.on("system:ready", () => {});
+            await flush();
+
+            expect(existing).toHaveBeenCalledTimes(1);
+        });
+
+        test("should not retain events emitted without retain", async () => {
+            await pulse.emit("system:ready", {});
+            expect(pulse.getRetained()).toEqual([]);
+        });
+
+        test("should read and clear retained events by pattern", async () => {
+            await pulse.emit("system:a", 1, { retain: true });
+            await pulse.emit("system:b", 2, { retain: true });
+            await pulse.emit("user:c", 3, { retain: true });
+
+            expect(pulse.getRetained("system:*").map(event => event.data)).toEqual([1, 2]);
+
+            pulse.clearRetained("system:*");
+            expect(pulse.getRetained().map(event => event.topic)).toEqual(["user:c"]);
+        });
+    });
+
+    describe("Event history", () => {
+        test("should be disabled by default", () => {
+            expect(() => pulse.history()).toThrow("History is not enabled");
+        });
+
+        test("should keep the most recent events up to the size limit", async () => {
+            const recording = new Pulse({ history: { size: 3 } });
+            for (let n = 1; n <= 5; n++) await recording.emit("test", n);
+
+            expect(recording.history().map(event => event.data)).toEqual([3, 4, 5]);
+        });
+
+        test("should query by pattern, time range and limit", async () => {
+            const recording = new Pulse({ history: true });
+            const old = await recording.emit("user:login", 1);
+            old.timestamp -= 10000;
+            await recording.emit("user:logout", 2);
+            await recording.emit("chat:message", 3);
+            await recording.emit("user:login", 4);
+
+            expect(recording.history("user:**").map(event => event.data)).toEqual([1, 2, 4]);
+            expect(recording.history("user:**", { since: Date.now() - 5000 }).map(event => event.data)).toEqual([2, 4]);
+            expect(recording.history("user:**", { until: new Date(Date.now() - 5000) }).map(event => event.data)).toEqual([1]);
+            expect(recording.history("**", { limit: 2 }).map(event => event.data)).toEqual([3, 4]);
+        });
+
+        test("should drop events older than maxAge", () => {
+            const history = new EventHistory({ maxAge: 1000 });
+            const old = new PulseEvent("test", 1);
+            old.timestamp -= 2000;
+            history.add(old);
+            history.add(new PulseEvent("test", 2));
+
+            expect(history.size).toBe(1);
+            expect(history.query(() => true).map(event => event.data)).toEqual([2]);
+        });
+
+        test("should replay stored events to one listener only", async () => {
+            const recording = new Pulse({ history: true });
+            const existing = mock(() => {});
+            recording.on("user:*", existing);
+            await recording.emit("user:login", 1);
+            await recording.emit("user:logout", 2);
+
+            const late = mock(({event}) => event.data);
+            const listener = recording.on("user:*", late);
+            const replayed = await recording.replay("user:*", { to: listener });
+
+            expect(replayed.map(event => event.data)).toEqual([1, 2]);
+            expect(late).toHaveBeenCalledTimes(2);
+            expect(existing).toHaveBeenCalledTimes(2);
+        });
+
+        test("replay should require a target listener", async () => {
+            const recording = new Pulse({ history: true });
+            await expect(recording.replay("**", {})).rejects.toThrow("requires a listener");
+        });
+    });
+
+    describe("Dead-letter routing", () => {
+        test("should route unhandled events to the dead-letter topic", async () => {
+            const bus = new Pulse({ deadLetter: "pulse:deadletter" });
+            const letters = [];
+            bus.on("pulse:deadletter", ({event}) => { letters.push(event.data); });
+
+            const event = await bus.emit("nobody:listens", { n: 1 });
+            expect(letters.length).toBe(1);
+            expect(letters[0].reason).toBe("unhandled");
+            expect(letters[0].event).toBe(event);
+            expect(letters[0].failed).toEqual([]);
+        });
+
+        test("should route failed events with the listeners that failed", async () => {
+            const letters = [];
+            const bus = new Pulse({ deadLetter: (letter) => { letters.push(letter); } });
+            const error = new Error("db down");
+            const failing = bus.on("order:save", () => { throw error; });
+            bus.on("order:save", () => "ok");
+
+            await bus.emit("order:save", {});
+            expect(letters.length).toBe(1);
+            expect(letters[0].reason).toBe("failed");
+            expect(letters[0].errors).toEqual([error]);
+            expect(letters[0].failed).toEqual([{ listener: failing, pattern: "order:save", error }]);
+        });
+
+        test("should report timed-out listeners as failed", async () => {
+            const letters = [];
+            const bus = new Pulse({ deadLetter: (letter) => { letters.push(letter); } });
+            bus.on("slow", () => new Promise(resolve => setTimeout(resolve, 100)));
+
+            await bus.emit("slow", {}, { timeout: 10 });
+            expect(letters[0].failed[0].error.message).toContain("timed out");
+        });
+
+        test("should not route events that succeeded", async () => {
+            const deadLetter = mock(() => {});
+            const bus = new Pulse({ deadLetter });
+            bus.on("test", () => "ok");
+
+            await bus.emit("test", {});
+            expect(deadLetter).toHaveBeenCalledTimes(0);
+        });
+
+        test("should never route dead letters back into themselves", async () => {
+            const bus = new Pulse({ deadLetter: "pulse:deadletter" });
+            const handler = mock(() => { throw new Error("dead-letter handler failed"); });
+            bus.on("pulse:deadletter", handler);
+
+            await bus.emit("nobody:listens", {});
+            expect(handler).toHaveBeenCalledTimes(1);
+        });
+
+        test("should not route events emitted while a letter is handed over", async () => {
+            const letters = [];
+            const bus = new Pulse({
+                deadLetter: (letter) => {
+                    letters.push(letter);
+                    bus.emit("nobody:listens:either", {});
+                }
+            });
+
+            await bus.emit("nobody:listens", {});
+            await new Promise(resolve => setTimeout(resolve, 0));
+            expect(letters.length).toBe(1);
+        });
+
+        test("should validate the dead-letter topic", () => {
+            expect(() => new Pulse({ deadLetter: "not valid" })).toThrow("Invalid dead-letter topic");
+        });
+    });
+
+    describe("Payload validation", () => {
+        const userSchema = {
+            type: "object",
+            required: ["id", "email"],
+            properties: {
+                id: { type: "integer", minimum: 1 },
+                email: { type: "string", pattern: "@" },
+                roles: { type: "array", items: { enum: ["admin", "member"] } }
+            },
+            additionalProperties: false
+        };
+
+        test("should reject invalid payloads with a structured error", async () => {
+            const handler = mock(() => {});
+            pulse.define("user:created", userSchema);
+            pulse.on("user:created", handler);
+
+            const error = await pulse.emit("user:created", { id: 0, roles: ["owner"], extra: true }).catch(e => e);
+            expect(error).toBeInstanceOf(PulseValidationError);
+            expect(error.topic).toBe("user:created");
+            expect(error.issues).toEqual([
+                { path: "/email", message: "is required" },
+                { path: "/id", message: "must be >= 1" },
+                { path: "/roles/0", message: "must be one of \"admin\", \"member\"" },
+                { path: "/extra", message: "is not allowed" }
+            ]);
+            expect(handler).toHaveBeenCalledTimes(0);
+        });
+
+        test("should let valid payloads through", async () => {
+            pulse.define("user:*", userSchema);
+            pulse.on("user:created", ({event}) => event.data.id);
+
+            const result = await pulse.emit("user:created", { id: 1, email: "a@b.c" });
+            expect(result.responses).toEqual([1]);
+        });
+
+        test("should accept validator functions", async () => {
+            pulse.define("order:**", (data) => data.total >= 0 || "total must be positive");
+
+            await expect(pulse.emit("order:paid", { total: -1 })).rejects.toThrow("total must be positive");
+            await expect(pulse.emit("order:paid", { total: 1 })).resolves.toBeInstanceOf(PulseEvent);
+        });
+
+        test("collect mode should record the error on the event", async () => {
+            const handler = mock(() => {});
+            const collecting = new Pulse({ validation: "collect", history: true });
+            collecting.define("test", { type: "string" });
+            collecting.on("test", handler);
+
+            const event = await collecting.emit("test", 42);
+            expect(event.errors[0]).toBeInstanceOf(PulseValidationError);
+            expect(handler).toHaveBeenCalledTimes(0);
+            expect(collecting.history()).toEqual([]);
+
+            const rejected = collecting.emit("test", 42, { validation: "reject" });
+            await expect(rejected).rejects.toThrow("Invalid data for topic test");
+        });
+
+        test("should reject invalid patterns and validation modes", async () => {
+            expect(() => pulse.define("a**b", { type: "string" })).toThrow("Invalid pattern: a**b");
+            expect(() => pulse.define("a:++b", { type: "string" })).toThrow("Invalid pattern: a:++b");
+            expect(pulse.validate("a**b", 42)).toEqual([]);
+
+            await expect(pulse.emit("free", "valid", { validation: "nope" })).rejects.toThrow("Invalid validation mode: nope");
+        });
+
+        test("should validate returned responses when a response validator is set", async () => {
+            pulse.define("price:get", { type: "object" }, { response: { type: "number", minimum: 0 } });
+            pulse.on("price:get", () => -5);
+            pulse.on("price:get", () => 10);
+
+            const event = await pulse.emit("price:get", {});
+            expect(event.responses).toEqual([10]);
+            expect(event.errors[0]).toBeInstanceOf(PulseValidationError);
+            expect(event.errors[0].kind).toBe("response");
+        });
+
+        test("destroy should remove the definition", async () => {
+            const definition = pulse.define("test", { type: "string" });
+            definition.destroy();
+            await expect(pulse.emit("test", 42)).resolves.toBeInstanceOf(PulseEvent);
+        });
+
+        test("should support union types and nested schemas", () => {
+            expect(validateSchema({ type: ["string", "null"] }, null)).toEqual([]);
+            expect(validateSchema({ type: "array", maxItems: 1 }, [1, 2])).toEqual([{ path: "", message: "must have at most 1 items" }]);
+            expect(validateSchema({ type: "integer" }, 1.5)).toEqual([{ path: "", message: "must be integer, got number" }]);
+        });
+    });
+
+    describe("Scoped sub-buses", () => {
+        test("should prefix on, once, use and emit", async () => {
+            const users = pulse.scope("user");
+            const seen = [];
+            users.on("login", ({event}) => { seen.push(`on:${event.topic}`); });
+            users.once("*", ({event}) => { seen.push(`once:${event.topic}`); });
+            users.use("**", ({event}, next) => { seen.push(`use:${event.topic}`); return next(); }, { scope: "event" });
+
+            const event = await users.emit("login", { id: 1 });
+            await users.emit("login", { id: 2 });
+            await pulse.emit("login", {});
+
+            expect(event.topic).toBe("user:login");
+            expect(seen).toEqual(["use:user:login", "on:user:login", "once:user:login", "use:user:login", "on:user:login"]);
+        });
+
+        test("should share the parent listener map", async () => {
+            const users = pulse.scope("user");
+            const listener = users.on("login", () => "scoped");
+            pulse.on("user:*", () => "global");
+
+            expect(pulse.listeners.get("user:login")?.has(listener)).toBe(true);
+            const event = await pulse.emit("user:login", {});
+            expect(event.responses).toEqual(["scoped", "global"]);
+        });
+
+        test("should compose nested scopes", async () => {
+            const admin = pulse.scope("user").scope("admin");
+            admin.on("ban", ({event}) => event.data);
+
+            expect(admin.prefix).toBe("user:admin");
+            const event = await pulse.emit("user:admin:ban", "bob");
+            expect(event.responses).toEqual(["bob"]);
+        });
+
+        test("should remove everything it registered on destroy", async () => {
+            const users = pulse.scope("user");
+            const admin = users.scope("admin");
+            users.on("login", () => "scoped");
+            admin.on("ban", () => "nested");
+            users.use("**", (_, next) => next());
+            const global = pulse.on("user:login", () => "global");
+
+            users.destroy();
+
+            expect(pulse.middlewares).toEqual([]);
+            expect(pulse.listeners.get("user:admin:ban")).toBeUndefined();
+            expect([...pulse.listeners.get("user:login")]).toEqual([global]);
+            expect(admin.destroyed).toBe(true);
+            expect(() => users.on("login", () => {})).toThrow("Scope destroyed: user");
+            await expect(admin.emit("ban", null)).rejects.toThrow("Scope destroyed: user:admin");
+        });
+
+        test("should tolerate listeners and middlewares removed before destroy", async () => {
+            const users = pulse.scope("user");
+            users.once("login", () => {});
+            users.use("**", (_, next) => next()).destroy();
+            users.scope("admin").destroy();
+
+            await pulse.emit("user:login", {});
+            expect(() => users.destroy()).not.toThrow();
+            expect(pulse.listeners.size).toBe(0);
+        });
+
+        test("should forget what pulse.off() and offGroup() removed", () => {
+            const users = pulse.scope("user");
+            const login = users.on("login", () => {});
+            const middleware = users.use("**", (_, next) => next(), { group: "auth" });
+
+            pulse.off("user:login");
+            expect(pulse.offGroup("auth")).toBe(1);
+            expect(login.onDestroy).toBeNull();
+
+            // Registered again after the removals: destroy() must only remove this one
+            users.on("login", () => {});
+            expect(() => users.destroy()).not.toThrow();
+            expect(pulse.listeners.size).toBe(0);
+            expect(() => middleware.destroy()).toThrow("Middleware already destroyed");
+        });
+
+        test("should not own listeners registered with an aborted signal", () => {
+            const users = pulse.scope("user");
+            const listener = users.on("login", () => {}, { signal: AbortSignal.abort() });
+
+            expect(pulse.listeners.has("user:login")).toBe(false);
+            expect(listener.onDestroy).toBeNull();
+        });
+
+        test("should reject invalid prefixes", () => {
+            expect(() => pulse.scope("user:*")).toThrow("Invalid scope prefix: user:*");
+            expect(() => pulse.scope("")).toThrow("Invalid scope prefix");
+        });
+    });
+
+    describe("Unsubscription and groups", () => {
+        test("should only remove listeners registered with the given callback", async () => {
+            const mine = () => "mine";
+            const theirs = () => "theirs";
+            pulse.on("shared", mine);
+            pulse.on("shared", theirs);
+
+            pulse.off("shared", mine);
+
+            const event = await pulse.emit("shared", {});
+            expect(event.responses).toEqual(["theirs"]);
+            pulse.off("shared", theirs);
+            expect(pulse.listeners.has("shared")).toBe(false);
+            expect(pulse.listenerIndex.size).toBe(0);
+        });
+
+        test("should remove a listener instance", async () => {
+            const callback = () => "same";
+            const first = pulse.on("shared", callback);
+            pulse.on("shared", callback);
+
+            pulse.off(first);
+
+            expect(pulse.listeners.get("shared")?.size).toBe(1);
+            expect(pulse.listeners.get("shared")?.has(first)).toBe(false);
+        });
+
+        test("should ignore unknown patterns and callbacks", () => {
+            pulse.on("shared", () => {});
+            expect(() => pulse.off("unknown")).not.toThrow();
+            pulse.off("shared", () => {});
+            expect(pulse.listeners.get("shared")?.size).toBe(1);
+        });
+
+        test("should remove a group's listeners and middlewares", async () => {
+            const widget = Symbol("widget");
+            const calls = [];
+            pulse.on("a", () => "widget", { group: widget });
+            pulse.on("b:*", () => "widget", { group: widget });
+            pulse.on("a", () => "other");
+            pulse.use("**", (_, next) => { calls.push("widget"); return next(); }, { group: widget });
+            pulse.use("**", (_, next) => { calls.push("other"); return next(); });
+
+            expect(pulse.offGroup(widget)).toBe(3);
+
+            const event = await pulse.emit("a", {});
+            expect(event.responses).toEqual(["other"]);
+            expect(calls).toEqual(["other"]);
+            expect(pulse.listeners.has("b:*")).toBe(false);
+            expect(pulse.offGroup(widget)).toBe(0);
+        });
+
+        test("should refuse to remove a missing group", () => {
+            pulse.on("a", () => "untagged");
+            pulse.use("**", (_, next) => next());
+
+            expect(() => pulse.offGroup()).toThrow("Invalid group: undefined");
+            expect(() => pulse.offGroup(null)).toThrow("Invalid group: null");
+            expect(pulse.listeners.get("a")?.size).toBe(1);
+            expect(pulse.middlewares.length).toBe(1);
+        });
+
+        test("should clear autodestroy timers when removing listeners", () => {
+            const clear = spyOn(globalThis, "clearTimeout");
+            pulse.on("a", () => {}, { autodestroy: { timeout: 60000 } });
+            pulse.on("b", () => {}, { autodestroy: { timeout: 60000 } });
+
+            pulse.removeAllListeners();
+
+            expect(clear).toHaveBeenCalledTimes(2);
+            expect(pulse.listeners.size).toBe(0);
+            clear.mockRestore();
+        });
+
+        test("should clear autodestroy timers on off()", () => {
+            const listener = pulse.on("a", () => {}, { autodestroy: { timeout: 60000 } });
+            const clear = spyOn(globalThis, "clearTimeout");
+
+            pulse.off("a");
+
+            expect(clear).toHaveBeenCalledWith(listener.timeout);
+            clear.mockRestore();
+        });
+    });
+
+    describe("Listener timeout and retry", () => {
+        test("should let a listener override the emit timeout", async () => {
+            pulse.on("slow", () => new Promise(resolve => setTimeout(() => resolve("late"), 50)), { timeout: 10 });
+            pulse.on("slow", () => new Promise(resolve => setTimeout(() => resolve("patient"), 50)));
+
+            const event = await pulse.emit("slow", {}, { timeout: 200 });
+
+            expect(event.responses).toEqual(["patient"]);
+            expect(event.errors.map(error => error.message)).toEqual(["Listener timed out after 10ms for topic: slow"]);
+        });
+
+        test("should allow a longer timeout than the emit one", async () => {
+            pulse.on("slow", () => new Promise(resolve => setTimeout(() => resolve("done"), 30)), { timeout: 100 });
+
+            const event = await pulse.emit("slow", {}, { timeout: 10 });
+            expect(event.responses).toEqual(["done"]);
+        });
+
+        test("should retry a failing listener within the same emit", async () => {
+            let calls = 0;
+            pulse.on("db:write", () => {
+                if (++calls < 3) throw new Error(`locked ${calls}`);
+                return "written";
+            }, { retry: { attempts: 3, delay: 1 } });
+
+            const event = await pulse.emit("db:write", {});
+
+            expect(event.responses).toEqual(["written"]);
+            expect(event.errors).toEqual([]);
+            expect(event.attempts.map(({ attempt, status, error }) => [attempt, status, error?.message])).toEqual([
+                [1, "rejected", "locked 1"],
+                [2, "rejected", "locked 2"],
+                [3, "fulfilled", undefined],
+            ]);
+        });
+
+        test("should keep only the last error once attempts run out", async () => {
+            let calls = 0;
+            pulse.on("db:write", () => { throw new Error(`locked ${++calls}`); }, { retry: { attempts: 2, delay: 1 } });
+
+            const event = await pulse.emit("db:write", {});
+
+            expect(calls).toBe(2);
+            expect(event.errors.map(error => error.message)).toEqual(["locked 2"]);
+            expect(event.attempts.length).toBe(2);
+        });
+
+        test("should retry timed out attempts", async () => {
+            let calls = 0;
+            pulse.on("flaky", () => ++calls === 1 ? new Promise(() => {}) : "ok", { timeout: 10, retry: { delay: 1 } });
+
+            const event = await pulse.emit("flaky", {});
+
+            expect(event.responses).toEqual(["ok"]);
+            expect(event.attempts[0].error.message).toContain("timed out after 10ms");
+        });
+
+        test("should only retry errors accepted by retryOn", async () => {
+            let calls = 0;
+            const retryOn = mock((error) => error.message === "busy");
+            pulse.on("job", () => { throw new Error(++calls === 1 ? "busy" : "fatal"); }, { retry: { attempts: 5, delay: 1, retryOn } });
+
+            const event = await pulse.emit("job", {});
+
+            expect(calls).toBe(2);
+            expect(retryOn).toHaveBeenCalledTimes(2);
+            expect(retryOn.mock.calls[0][1]).toBe(1);
+            expect(event.errors.map(error => error.message)).toEqual(["fatal"]);
+        });
+
+        test("should wait between attempts with the configured backoff", async () => {
+            const timestamps = [];
+            pulse.on("fixed", () => { timestamps.push(Date.now()); throw new Error("nope"); }, { retry: { attempts: 3, delay: 20, backoff: "exponential" } });
+
+            await pulse.emit("fixed", {});
+
+            expect(timestamps.length).toBe(3);
+            expect(timestamps[1] - timestamps[0]).toBeGreaterThanOrEqual(18);
+            expect(timestamps[2] - timestamps[1]).toBeGreaterThanOrEqual(38);
+        });
+
+        test("should stop retrying when the emit is aborted", async () => {
+            const controller = new AbortController();
+            let calls = 0;
+            pulse.on("job", () => { calls++; throw new Error("nope"); }, { retry: { attempts: 5, delay: 50 } });
+
+            const pending = pulse.emit("job", {}, { signal: controller.signal });
+            setTimeout(() => controller.abort(), 10);
+            const event = await pending;
+
+            expect(calls).toBe(1);
+            expect(event.attempts.length).toBe(1);
+        });
+
+        test("should validate timeout and retry options", () => {
+            expect(() => pulse.on("a", () => {}, { timeout: 0 })).toThrow("Invalid listener timeout: 0");
+            expect(() => pulse.on("a", () => {}, { retry: { attempts: 0 } })).toThrow("Invalid retry attempts: 0");
+            expect(() => pulse.on("a", () => {}, { retry: { backoff: "linear" } })).toThrow("Invalid retry backoff: linear");
+        });
+    });
+
+    describe("Flow control", () => {
+        const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+        test("should debounce to the last event of a burst", async () => {
+            const seen = [];
+            pulse.on("search", ({event}) => { seen.push(event.data); return event.data; }, { debounce: 20 });
+
+            const events = await Promise.all(["a", "ab", "abc"].map(query => pulse.emit("search", query)));
+
+            expect(seen).toEqual(["abc"]);
+            expect(events.map(event => event.responses)).toEqual([[], [], ["abc"]]);
+            expect(events[0].skipped.map(({ reason, pattern }) => [reason, pattern])).toEqual([["debounced", "search"]]);
+            expect(events[2].skipped).toEqual([]);
+        });
+
+        test("should throttle with leading and trailing calls", async () => {
+            const seen = [];
+            pulse.on("scroll", ({event}) => { seen.push(event.data); }, { throttle: 30 });
+
+            const emits = [pulse.emit("scroll", 1), pulse.emit("scroll", 2), pulse.emit("scroll", 3)];
+            const events = await Promise.all(emits);
+
+            expect(seen).toEqual([1, 3]);
+            expect(events[1].skipped[0].reason).toBe("throttled");
+            expect(events[2].skipped).toEqual([]);
+        });
+
+        test("should throttle without trailing call", async () => {
+            const seen = [];
+            pulse.on("scroll", ({event}) => { seen.push(event.data); }, { throttle: { interval: 30, trailing: false } });
+
+            await Promise.all([pulse.emit("scroll", 1), pulse.emit("scroll", 2)]);
+            await sleep(40);
+            await pulse.emit("scroll", 3);
+
+            expect(seen).toEqual([1, 3]);
+        });
+
+        test("should throttle without leading call", async () => {
+            const seen = [];
+            pulse.on("scroll", ({event}) => { seen.push(event.data); }, { throttle: { interval: 20, leading: false } });
+
+            await Promise.all([pulse.emit("scroll", 1), pulse.emit("scroll", 2)]);
+
+            expect(seen).toEqual([2]);
+        });
+
+        test("should drop calls over the rate limit", async () => {
+            let calls = 0;
+            pulse.on("api", () => ++calls, { rateLimit: { limit: 2, interval: 30 } });
+
+            const events = await Promise.all([1, 2, 3].map(n => pulse.emit("api", n)));
+            expect(events.map(event => event.responses)).toEqual([[1], [2], []]);
+            expect(events[2].skipped[0].reason).toBe("rate-limited");
+
+            await sleep(40);
+            const later = await pulse.emit("api", 4);
+            expect(later.responses).toEqual([3]);
+        });
+
+        test("should queue calls over the rate limit", async () => {
+            const starts = [];
+            pulse.on("api", ({event}) => { starts.push(Date.now()); return event.data; }, { rateLimit: { limit: 1, interval: 20, overflow: "queue" } });
+
+            const events = await Promise.all([1, 2, 3].map(n => pulse.emit("api", n)));
+
+            expect(events.map(event => event.responses)).toEqual([[1], [2], [3]]);
+            expect(starts[1] - starts[0]).toBeGreaterThanOrEqual(18);
+            expect(starts[2] - starts[1]).toBeGreaterThanOrEqual(18);
+        });
+
+        test("should not count the wait against the listener timeout", async () => {
+            pulse.on("search", () => "done", { debounce: 30, timeout: 10 });
+
+            const event = await pulse.emit("search", {});
+            expect(event.responses).toEqual(["done"]);
+        });
+
+        test("should skip waiting calls and clear timers on destroy", async () => {
+            const seen = [];
+            const listener = pulse.on("search", ({event}) => { seen.push(event.data); }, { debounce: 20 });
+
+            const pending = pulse.emit("search", "a");
+            await sleep(1);
+            listener.destroy();
+            const event = await pending;
+            await sleep(30);
+
+            expect(seen).toEqual([]);
+            expect(event.skipped[0].reason).toBe("destroyed");
+        });
+
+        test("should skip waiting calls when the emit is aborted", async () => {
+            const controller = new AbortController();
+            const seen = [];
+            pulse.on("search", ({event}) => { seen.push(event.data); }, { debounce: 20 });
+
+            const pending = pulse.emit("search", "a", { signal: controller.signal });
+            controller.abort();
+            const event = await pending;
+            await sleep(30);
+
+            expect(seen).toEqual([]);
+            expect(event.skipped[0].reason).toBe("aborted");
+        });
+
+        test("should validate flow-control options", () => {
+            expect(() => pulse.on("a", () => {}, { debounce: -1 })).toThrow("Invalid debounce: -1");
+            expect(() => pulse.on("a", () => {}, { throttle: { interval: 10, leading: false, trailing: false } })).toThrow("Invalid throttle");
+            expect(() => pulse.on("a", () => {}, { rateLimit: { limit: 0, interval: 10 } })).toThrow("Invalid rate limit: 0");
+            expect(() => pulse.on("a", () => {}, { rateLimit: { limit: 1, interval: 10, overflow: "wait" } })).toThrow("Invalid rate limit overflow: wait");
+        });
+    });
+
+    describe("Batched delivery", () => {
+        test("should call the listener once the batch is full", async () => {
+            const batches = [];
+            pulse.on("metrics:**", ({events}) => { batches.push(events.map(event => event.data)); }, { batch: { size: 3, maxWait: 1000 } });
+
+            await Promise.all([1, 2, 3, 4, 5, 6].map(n => pulse.emit("metrics:cpu", n)));
+
+            expect(batches).toEqual([[1, 2, 3], [4, 5, 6]]);
+        });
+
+        test("should flush a partial batch after maxWait", async () => {
+            const batches = [];
+            pulse.on("metrics:**", ({events}) => { batches.push(events.length); }, { batch: { size: 10, maxWait: 20 } });
+
+            const started = Date.now();
+            await Promise.all([pulse.emit("metrics:cpu", 1), pulse.emit("metrics:mem", 2)]);
+
+            expect(batches).toEqual([2]);
+            expect(Date.now() - started).toBeGreaterThanOrEqual(18);
+        });
+
+        test("should map returned values back to each event", async () => {
+            pulse.on("square", ({events}) => events.map(event => event.data * event.data), { batch: { size: 3 } });
+
+            const events = await Promise.all([2, 3, 4].map(n => pulse.emit("square", n)));
+
+            expect(events.map(event => event.responses)).toEqual([[4], [9], [16]]);
+        });
+
+        test("should let the callback respond or fail per event", async () => {
+            pulse.on("job", ({events}) => {
+                for (const event of events) {
+                    if (event.data < 0) event.error(new Error(`negative: ${event.data}`));
+                    else event.respond("ok");
+                }
+            }, { batch: { size: 2 } });
+
+            const [good, bad] = await Promise.all([pulse.emit("job", 1), pulse.emit("job", -1)]);
+
+            expect(good.responses).toEqual(["ok"]);
+            expect(good.errors).toEqual([]);
+            expect(bad.responses).toEqual([]);
+            expect(bad.errors[0].message).toBe("negative: -1");
+        });
+
+        test("should record a thrown error on every event of the batch", async () => {
+            pulse.on("job", () => { throw new Error("batch failed"); }, { batch: { size: 2 } });
+
+            const events = await Promise.all([pulse.emit("job", 1), pulse.emit("job", 2)]);
+
+            expect(events.map(event => event.errors.map(error => error.message))).toEqual([["batch failed"], ["batch failed"]]);
+        });
+
+        test("should flush the buffer on destroy", async () => {
+            const batches = [];
+            const listener = pulse.on("metrics:**", ({events}) => { batches.push(events.length); return events.map(() => "flushed"); }, { batch: { size: 10, maxWait: 10000 } });
+
+            const pending = pulse.emit("metrics:cpu", 1);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            expect(listener.batch.pending).toBe(1);
+            listener.destroy();
+
+            const event = await pending;
+            expect(batches).toEqual([1]);
+            expect(event.responses).toEqual(["flushed"]);
+        });
+
+        test("should drop events whose delivery timed out while buffered", async () => {
+            const batches = [];
+            pulse.on("metrics:**", ({events}) => { batches.push(events.map(event => event.data)); }, { batch: { size: 2, maxWait: 50 }, timeout: 10 });
+
+            const first = await pulse.emit("metrics:cpu", 1);
+            await Promise.all([pulse.emit("metrics:cpu", 2), pulse.emit("metrics:cpu", 3)]);
+
+            expect(first.errors[0].message).toContain("timed out");
+            expect(batches).toEqual([[2, 3]]);
+        });
+
+        test("should count one call per batch", async () => {
+            const listener = pulse.on("tick", () => {}, { batch: { size: 2 } });
+
+            await Promise.all([1, 2, 3, 4].map(n => pulse.emit("tick", n)));
+
+            expect(listener.calls).toBe(2);
+        });
+
+        test("should validate batch options", () => {
+            expect(() => pulse.on("a", () => {}, { batch: { size: 0 } })).toThrow("Invalid batch size: 0");
+            expect(() => pulse.on("a", () => {}, { batch: { size: 2, maxWait: -1 } })).toThrow("Invalid batch maxWait: -1");
+        });
+    });
+
+    describe("Concurrency and queues", () => {
+        const deferred = () => {
+            let resolve;
+            const promise = new Promise(r => { resolve = r; });
+            return { promise, resolve };
+        };
+        const tick = () => new Promise(resolve => setTimeout(resolve, 1));
+
+        test("should never run more than the concurrency limit", async () => {
+            let running = 0;
+            let peak = 0;
+            pulse.on("image:resize", async ({event}) => {
+                peak = Math.max(peak, ++running);
+                await new Promise(resolve => setTimeout(resolve, 5));
+                running--;
+                return event.data;
+            }, { concurrency: 2 });
+
+            const events = await Promise.all([1, 2, 3, 4, 5].map(n => pulse.emit("image:resize", n)));
+
+            expect(peak).toBe(2);
+            expect(events.map(event => event.responses)).toEqual([[1], [2], [3], [4], [5]]);
+        });
+
+        test("should keep the slot of a timed out call until it settles", async () => {
+            let running = 0;
+            let peak = 0;
+            const listener = pulse.on("image:resize", async () => {
+                peak = Math.max(peak, ++running);
+                await new Promise(resolve => setTimeout(resolve, 100));
+                running--;
+            }, { concurrency: 1, timeout: 20 });
+
+            const events = await Promise.all([1, 2, 3].map(n => pulse.emit("image:resize", n)));
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            expect(events.every(event => event.errors[0]?.message.includes("timed out"))).toBe(true);
+            expect(peak).toBe(1);
+            expect(listener.limiter.running).toBe(0);
+        });
+
+        test("should run queued calls in FIFO order", async () => {
+            const order = [];
+            const gate = deferred();
+            pulse.on("db:write", async ({event}) => {
+                order.push(event.data);
+                if (event.data === 1) await gate.promise;
+            }, { concurrency: 1 });
+
+            const emits = [1, 2, 3, 4].map(n => pulse.emit("db:write", n));
+            await tick();
+            expect(order).toEqual([1]);
+            gate.resolve();
+            await Promise.all(emits);
+
+            expect(order).toEqual([1, 2, 3, 4]);
+        });
+
+        test("should not count queue time against the listener timeout", async () => {
+            pulse.on("db:write", () => new Promise(resolve => setTimeout(() => resolve("ok"), 15)), { concurrency: 1, timeout: 25 });
+
+            const events = await Promise.all([1, 2, 3].map(n => pulse.emit("db:write", n)));
+            expect(events.map(event => event.responses)).toEqual([["ok"], ["ok"], ["ok"]]);
+        });
+
+        test("should report queue depth", async () => {
+            const gate = deferred();
+            const listener = pulse.on("job", () => gate.promise, { concurrency: 1 });
+
+            const emits = [1, 2, 3].map(n => pulse.emit("job", n));
+            await tick();
+
+            expect(listener.limiter.running).toBe(1);
+            expect(listener.limiter.queued).toBe(2);
+            gate.resolve();
+            await Promise.all(emits);
+            expect(listener.limiter.running).toBe(0);
+            expect(listener.limiter.queued).toBe(0);
+        });
+
+        test("should fail calls over a full queue by default", async () => {
+            const gate = deferred();
+            pulse.on("job", () => gate.promise, { queue: { max: 1 } });
+
+            const emits = [1, 2, 3].map(n => pulse.emit("job", n));
+            await tick();
+            gate.resolve();
+            const events = await Promise.all(emits);
+
+            expect(events[0].errors).toEqual([]);
+            expect(events[1].errors).toEqual([]);
+            expect(events[2].errors[0].message).toBe("Listener queue full (1 waiting) for pattern: job");
+        });
+
+        test("should drop the newest or oldest call when the queue is full", async () => {
+            const gate = deferred();
+            const seen = [];
+            pulse.on("newest", async ({event}) => { seen.push(`newest:${event.data}`); await gate.promise; }, { queue: { max: 1, overflow: "drop-newest" } });
+            pulse.on("oldest", async ({event}) => { seen.push(`oldest:${event.data}`); await gate.promise; }, { queue: { max: 1, overflow: "drop-oldest" } });
+
+            const newest = [1, 2, 3].map(n => pulse.emit("newest", n));
+            const oldest = [1, 2, 3].map(n => pulse.emit("oldest", n));
+            await tick();
+            gate.resolve();
+            const newestEvents = await Promise.all(newest);
+            const oldestEvents = await Promise.all(oldest);
+
+            expect(seen.sort()).toEqual(["newest:1", "newest:2", "oldest:1", "oldest:3"]);
+            expect(newestEvents[2].skipped[0].reason).toBe("queue-full");
+            expect(oldestEvents[1].skipped[0].reason).toBe("queue-full");
+        });
+
+        test("should apply backpressure with the wait overflow", async () => {
+            const gate = deferred();
+            const seen = [];
+            const listener = pulse.on("job", async ({event}) => { seen.push(event.data); await gate.promise; }, { queue: { max: 1, overflow: "wait" } });
+
+            const emits = [1, 2, 3, 4].map(n => pulse.emit("job", n));
+            await tick();
+            expect(listener.limiter.queued).toBe(1);
+            expect(listener.limiter.waiting).toBe(2);
+            gate.resolve();
+            await Promise.all(emits);
+
+            expect(seen).toEqual([1, 2, 3, 4]);
+        });
+
+        test("should hand freed slots to waiting calls when the queue holds none", async () => {
+            const gate = deferred();
+            const seen = [];
+            const listener = pulse.on("job", async ({event}) => { seen.push(event.data); await gate.promise; }, { concurrency: 1, queue: { max: 0, overflow: "wait" } });
+
+            const emits = [1, 2, 3].map(n => pulse.emit("job", n));
+            await tick();
+            expect(listener.limiter.waiting).toBe(2);
+            gate.resolve();
+            await Promise.all(emits);
+
+            expect(seen).toEqual([1, 2, 3]);
+            expect(listener.limiter.running).toBe(0);
+        });
+
+        test("should free the queue slot of aborted calls", async () => {
+            const gate = deferred();
+            const controller = new AbortController();
+            const seen = [];
+            const listener = pulse.on("job", async ({event}) => { seen.push(event.data); await gate.promise; }, { concurrency: 1 });
+
+            const first = pulse.emit("job", 1);
+            const aborted = pulse.emit("job", 2, { signal: controller.signal });
+            await tick();
+            controller.abort();
+            const abortedEvent = await aborted;
+            expect(listener.limiter.queued).toBe(0);
+
+            gate.resolve();
+            await first;
+            await pulse.emit("job", 3);
+
+            expect(seen).toEqual([1, 3]);
+            expect(abortedEvent.skipped[0].reason).toBe("aborted");
+            expect(listener.limiter.running).toBe(0);
+        });
+
+        test("should skip queued calls on destroy", async () => {
+            const gate = deferred();
+            const listener = pulse.on("job", () => gate.promise, { concurrency: 1 });
+
+            const emits = [1, 2].map(n => pulse.emit("job", n));
+            await tick();
+            listener.destroy();
+            gate.resolve();
+            const events = await Promise.all(emits);
+
+            expect(events[1].skipped[0].reason).toBe("destroyed");
+        });
+
+        test("should validate concurrency options", () => {
+            expect(() => pulse.on("a", () => {}, { concurrency: 0 })).toThrow("Invalid concurrency: 0");
+            expect(() => pulse.on("a", () => {}, { queue: { max: -1 } })).toThrow("Invalid queue max: -1");
+            expect(() => pulse.on("a", () => {}, { queue: { overflow: "block" } })).toThrow("Invalid queue overflow: block");
+        });
+    });
+
+    describe("Consumer groups", () => {
+        test("should deliver each emit to one member, round-robin by default", async () => {
+            const handled = [];
+            for (const worker of ["a", "b", "c"]) {
+                pulse.on("jobs:**", ({event}) => { handled.push(`${worker}:${event.data}`); }, { consumerGroup: "workers" });
+            }
+
+            for (let n = 1; n <= 6; n++) await pulse.emit("jobs:run", n);
+
+            expect(handled).toEqual(["a:1", "b:2", "c:3", "a:4", "b:5", "c:6"]);
+        });
+
+        test("should keep broadcasting to listeners outside the group", async () => {
+            const handled = [];
+            pulse.on("jobs:**", () => { handled.push("worker-a"); }, { consumerGroup: "workers" });
+            pulse.on("jobs:**", () => { handled.push("worker-b"); }, { consumerGroup: "workers" });
+            pulse.on("jobs:**", () => { handled.push("audit"); });
+            pulse.on("jobs:*", () => { handled.push("metrics"); });
+
+            await pulse.emit("jobs:run", {});
+
+            expect(handled.sort()).toEqual(["audit", "metrics", "worker-a"]);
+        });
+
+        test("should pick one member per group", async () => {
+            const handled = [];
+            pulse.on("jobs:**", () => { handled.push("a1"); }, { consumerGroup: "a" });
+            pulse.on("jobs:**", () => { handled.push("a2"); }, { consumerGroup: "a" });
+            pulse.on("jobs:**", () => { handled.push("b1"); }, { consumerGroup: "b" });
+
+            await pulse.emit("jobs:run", {});
+
+            expect(handled.sort()).toEqual(["a1", "b1"]);
+        });
+
+        test("should only pick among members matching the topic", async () => {
+            const handled = [];
+            pulse.on("jobs:image", () => { handled.push("image"); }, { consumerGroup: "workers" });
+            pulse.on("jobs:video", () => { handled.push("video"); }, { consumerGroup: "workers" });
+
+            await pulse.emit("jobs:video", {});
+            await pulse.emit("jobs:video", {});
+
+            expect(handled).toEqual(["video", "video"]);
+        });
+
+        test("should pick the least busy member", async () => {
+            const handled = [];
+            let release;
+            const blocked = new Promise(resolve => { release = resolve; });
+            const options = { consumerGroup: { name: "workers", strategy: "least-busy" } };
+            pulse.on("jobs:run", async ({event}) => { handled.push(`a:${event.data}`); if (event.data === 1) await blocked; }, options);
+            pulse.on("jobs:run", async ({event}) => { handled.push(`b:${event.data}`); }, options);
+
+            const first = pulse.emit("jobs:run", 1);
+            await pulse.emit("jobs:run", 2);
+            await pulse.emit("jobs:run", 3);
+            release();
+            await first;
+
+            expect(handled).toEqual(["a:1", "b:2", "b:3"]);
+        });
+
+        test("should route the same key to the same member", async () => {
+            const handled = {};
+            const options = { consumerGroup: { name: "workers", strategy: "key-hash", key: "userId" } };
+            for (const worker of ["a", "b", "c"]) {
+                pulse.on("jobs:run", ({event}) => { (handled[event.data.userId] ??= new Set()).add(worker); }, options);
+            }
+
+            for (let n = 0; n < 30; n++) await pulse.emit("jobs:run", { userId: `user-${n % 5}` });
+
+            expect(Object.keys(handled).length).toBe(5);
+            for (const workers of Object.values(handled)) expect(workers.size).toBe(1);
+        });
+
+        test("should accept a key function", async () => {
+            const handled = [];
+            const options = { consumerGroup: { name: "workers", strategy: "key-hash", key: (event) => event.topic } };
+            pulse.on("jobs:*", () => { handled.push("a"); }, options);
+            pulse.on("jobs:*", () => { handled.push("b"); }, options);
+
+            await pulse.emit("jobs:run", 1);
+            await pulse.emit("jobs:run", 2);
+
+            expect(handled[0]).toBe(handled[1]);
+        });
+
+        test("should forget members when they are removed", async () => {
+            const handled = [];
+            const a = pulse.on("jobs:run", () => { handled.push("a"); }, { consumerGroup: "workers" });
+            pulse.on("jobs:run", () => { handled.push("b"); }, { consumerGroup: "workers" });
+
+            a.destroy();
+            await pulse.emit("jobs:run", {});
+            await pulse.emit("jobs:run", {});
+
+            expect(handled).toEqual(["b", "b"]);
+            pulse.removeAllListeners();
+            expect(pulse.consumerGroups.size).toBe(0);
+        });
+
+        test("should reject conflicting or invalid group options", () => {
+            pulse.on("jobs:run", () => {}, { consumerGroup: "workers" });
+
+            expect(() => pulse.on("jobs:run", () => {}, { consumerGroup: { name: "workers", strategy: "least-busy" } }))
+                .toThrow("Consumer group workers is already configured with another strategy or key");
+            expect(() => pulse.on("jobs:run", () => {}, { consumerGroup: { name: "other", strategy: "random" } }))
+                .toThrow("Invalid consumer group strategy: random");
+            expect(() => pulse.on("jobs:run", () => {}, { consumerGroup: { name: "other", strategy: "key-hash" } }))
+                .toThrow("Consumer group other needs a key for the key-hash strategy");
+            expect(() => pulse.on("jobs:run", () => {}, { consumerGroup: "" })).toThrow("Invalid consumer group name");
+        });
+    });
+
+    describe("Causation and correlation", () => {
+        test("should start a cascade on root events", async () => {
+            const event = await pulse.emit("order:placed", {});
+
+            expect(event.correlationId).toBe(event.id);
+            expect(event.causationId).toBeNull();
+            expect(event.depth).toBe(0);
+        });
+
+        test("should link events emitted with event.emit()", async () => {
+            const seen = {};
+            pulse.on("order:placed", ({event}) => event.emit("payment:requested", event.data));
+            pulse.on("payment:requested", ({event}) => { seen.payment = event; return event.emit("email:send", {}); });
+            pulse.on("email:send", ({event}) => { seen.email = event; });
+
+            const root = await pulse.emit("order:placed", { id: 1 });
+
+            expect(seen.payment.correlationId).toBe(root.id);
+            expect(seen.payment.causationId).toBe(root.id);
+            expect(seen.payment.depth).toBe(1);
+            expect(seen.email.correlationId).toBe(root.id);
+            expect(seen.email.causationId).toBe(seen.payment.id);
+            expect(seen.email.depth).toBe(2);
+        });
+
+        test("should link events emitted with the parent option, from middlewares too", async () => {
+            let child;
+            pulse.use("order:*", async ({event, pulse}, next) => {
+                if (event.topic === "order:placed") await pulse.emit("order:audited", {}, { parent: event });
+                return next();
+            });
+            pulse.on("order:audited", ({event}) => { child = event; });
+            pulse.on("order:placed", () => {});
+
+            const root = await pulse.emit("order:placed", {}, { correlationId: "request-42" });
+
+            expect(root.correlationId).toBe("request-42");
+            expect(child.correlationId).toBe("request-42");
+            expect(child.causationId).toBe(root.id);
+            expect(child.options.parent).toBeUndefined();
+        });
+
+        test("should stop runaway loops at maxDepth with a clear error", async () => {
+            pulse = new Pulse({ maxDepth: 5 });
+            const events = [];
+            pulse.on("ping", async ({event}) => { events.push(event); await event.emit("ping", {}); });
+
+            const root = await pulse.emit("ping", {});
+
+            // The listener of the deepest event gets the error
+            expect(events.length).toBe(6);
+            const [error] = events[5].errors;
+            expect(error).toBeInstanceOf(PulseDepthError);
+            expect(error.message).toBe(`Maximum emit depth (5) exceeded for topic ping (correlation id: ${root.id}, caused by: ${events[5].id})`);
+            expect(error.event.depth).toBe(6);
+        });
+
+        test("should reject invalid maxDepth values", () => {
+            expect(() => new Pulse({ maxDepth: -1 })).toThrow("Invalid max depth: -1");
+            expect(() => new Pulse({ maxDepth: Infinity })).not.toThrow();
+        });
+
+        test("should keep causation fields through serialization", async () => {
+            let child;
+            pulse.on("a", ({event}) => event.emit("b", {}));
+            pulse.on("b", ({event}) => { child = event; });
+            await pulse.emit("a", {});
+
+            const copy = PulseEvent.fromJSON(JSON.parse(JSON.stringify(child)));
+
+            expect(copy.correlationId).toBe(child.correlationId);
+            expect(copy.causationId).toBe(child.causationId);
+            expect(copy.depth).toBe(1);
+        });
+
+        test("should refuse event.emit() on events never dispatched", async () => {
+            const event = new PulseEvent("a", {});
+            await expect(event.emit("b", {})).rejects.toThrow("was not dispatched by a Pulse");
+        });
+
+        test("should not route events caused by dead letters, even after an await", async () => {
+            const letters = [];
+            pulse = new Pulse({ deadLetter: "dead" });
+            pulse.on("dead", async ({event}) => {
+                letters.push(event.data.event.topic);
+                await new Promise(resolve => setTimeout(resolve, 1));
+                await event.emit("nobody:listens", {});
+            });
+
+            await pulse.emit("unhandled", {});
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(letters).toEqual(["unhandled"]);
+        });
+    });
+
+    describe("Instrumentation", () => {
+        test("should call the hooks around an emit, its middlewares and listeners", async () => {
+            const calls = [];
+            pulse.instrument({
+                onEmitStart: ({event}) => calls.push(`emit:start ${event.topic}`),
+                onListenerStart: ({listener}) => calls.push(`listener:start ${listener.pattern}`),
+                onMiddleware: ({middleware, passed}) => calls.push(`middleware ${middleware.pattern} ${passed}`),
+                onListenerEnd: ({listener, outcome}) => calls.push(`listener:end ${listener.pattern} ${outcome.status}`),
+                onEmitEnd: ({event, listeners}) => calls.push(`emit:end ${event.topic} ${listeners}`),
+            });
+            pulse.use("user:*", async (_, next) => next());
+            pulse.on("user:created", () => "ok");
+
+            await pulse.emit("user:created", {});
+
+            expect(calls).toEqual([
+                "emit:start user:created",
+                "listener:start user:created",
+                "middleware user:* true",
+                "listener:end user:created fulfilled",
+                "emit:end user:created 1",
+            ]);
+        });
+
+        test("should report durations, attempts and timeouts", async () => {
+            const ends = [];
+            pulse.instrument({ onListenerEnd: info => ends.push(info) });
+            pulse.on("slow", () => new Promise(resolve => setTimeout(resolve, 50)), { timeout: 10, retry: { attempts: 2, delay: 0 } });
+            pulse.on("slow", async () => {
+                await new Promise(resolve => setTimeout(resolve, 5));
+                return "done";
+            });
+
+            await pulse.emit("slow", {});
+
+            const [fast, slow] = ends;
+            expect(fast.outcome.status).toBe("fulfilled");
+            expect(fast.timedOut).toBe(false);
+            expect(fast.duration).toBeGreaterThanOrEqual(4);
+            expect(fast.endTime - fast.startTime).toBe(fast.duration);
+            expect(slow.outcome.status).toBe("rejected");
+            expect(slow.timedOut).toBe(true);
+            expect(slow.attempts).toBe(2);
+        });
+
+        test("should ignore throwing hooks and stop after removal", async () => {
+            const onEmitStart = mock(() => { throw new Error("broken hook"); });
+            const stop = pulse.instrument({ onEmitStart });
+            pulse.on("a", () => "ok");
+
+            const event = await pulse.emit("a", {});
+            stop();
+            await pulse.emit("a", {});
+
+            expect(event.responses).toEqual(["ok"]);
+            expect(event.errors).toEqual([]);
+            expect(onEmitStart).toHaveBeenCalledTimes(1);
+            expect(() => pulse.instrument(null)).toThrow("Invalid instrumentation hooks");
+        });
+
+        test("should record OpenTelemetry-shaped spans", async () => {
+            const recorder = new SpanRecorder();
+            pulse.instrument(recorder);
+            pulse.use("order:**", async (_, next) => next(), { scope: "event" });
+            pulse.use("order:**", async (_, next) => next());
+            pulse.on("order:placed", () => "ok");
+            pulse.on("order:placed", () => { throw new Error("boom"); });
+
+            await pulse.emit("order:placed", {});
+
+            const byName = (name) => recorder.spans.filter(span => span.name === name);
+            const [emit] = byName("emit order:placed");
+            const listeners = byName("listener order:placed");
+            const middlewares = byName("middleware order:**");
+
+            expect(recorder.spans).toHaveLength(6);
+            expect(emit.traceId).toMatch(/^[0-9a-f]{32}$/);
+            expect(emit.spanId).toMatch(/^[0-9a-f]{16}$/);
+            expect(emit.kind).toBe("PRODUCER");
+            expect(emit.parentSpanId).toBeUndefined();
+            expect(emit.status).toEqual({ code: "ERROR", message: "boom" });
+            expect(emit.attributes["pulse.topic"]).toBe("order:placed");
+            expect(emit.attributes["pulse.listeners"]).toBe(2);
+
+            expect(listeners.map(span => span.kind)).toEqual(["CONSUMER", "CONSUMER"]);
+            expect(listeners.every(span => span.parentSpanId === emit.spanId && span.traceId === emit.traceId)).toBe(true);
+            expect(listeners.map(span => span.status.code).sort()).toEqual(["ERROR", "OK"]);
+            const failed = listeners.find(span => span.status.code === "ERROR");
+            expect(failed.events).toEqual([
+                { name: "exception", time: failed.endTime, attributes: { "exception.type": "Error", "exception.message": "boom" } },
+            ]);
+
+            const listenerIds = listeners.map(span => span.spanId);
+            expect(middlewares.filter(span => span.parentSpanId === emit.spanId).map(span => span.attributes["pulse.middleware.scope"])).toEqual(["event"]);
+            expect(middlewares.filter(span => listenerIds.includes(span.parentSpanId))).toHaveLength(2);
+            expect(emit.startTime).toBeLessThanOrEqual(listeners[0].startTime);
+            expect(emit.endTime).toBeGreaterThanOrEqual(listeners[1].endTime);
+        });
+
+        test("should nest caused events in the trace of their cause", async () => {
+            const recorder = new SpanRecorder();
+            pulse.instrument(recorder);
+            pulse.on("a", ({event}) => event.emit("b", {}));
+            pulse.on("b", () => {});
+
+            await pulse.emit("a", {});
+            await pulse.emit("a", {});
+
+            const [b1, a1, b2, a2] = recorder.spans.filter(span => span.name.startsWith("emit"));
+            expect(b1.traceId).toBe(a1.traceId);
+            expect(b1.parentSpanId).toBe(a1.spanId);
+            expect(b1.attributes["pulse.depth"]).toBe(1);
+            expect(a2.traceId).not.toBe(a1.traceId);
+            expect(b2.traceId).toBe(a2.traceId);
+        });
+
+        test("should bound recorded spans and hand each one to onSpan", async () => {
+            const exported = [];
+            const recorder = new SpanRecorder({ limit: 2, onSpan: span => exported.push(span.name) });
+            pulse.instrument(recorder);
+            pulse.on("a", () => {});
+
+            await pulse.emit("a", {});
+            await pulse.emit("b", {});
+
+            expect(exported).toEqual(["listener a", "emit a", "emit b"]);
+            expect(recorder.spans.map(span => span.name)).toEqual(["emit a", "emit b"]);
+            recorder.clear();
+            expect(recorder.spans).toEqual([]);
+            expect(() => new SpanRecorder({ limit: 0 })).toThrow("Invalid span limit: 0");
+        });
+
+        test("should report skipped listeners", async () => {
+            const recorder = new SpanRecorder();
+            pulse.instrument(recorder);
+            pulse.on("a", () => {}, { debounce: 5 });
+
+            await Promise.all([pulse.emit("a", {}), pulse.emit("a", {})]);
+
+            const listeners = recorder.spans.filter(span => span.name === "listener a");
+            expect(listeners.map(span => span.attributes["pulse.outcome"])).toEqual(["skipped", "fulfilled"]);
+            expect(listeners[0].attributes["pulse.skip_reason"]).toBe("debounced");
+            expect(listeners[0].attributes["pulse.attempts"]).toBe(0);
+        });
+    });
+
+    describe("Introspection", () => {
+        test("should describe listeners, patterns and middlewares", async () => {
+            pulse.on("user:*", () => {}, { priority: 2, group: "users", autodestroy: { calls: 3, timeout: 60000 } });
+            pulse.on("user:*", () => {}, { concurrency: 2 });
+            pulse.on("order:**", () => {}, { consumerGroup: "workers" });
+            pulse.use("**", async (_, next) => next(), { scope: "event" });
+            pulse.use("user:**", async (_, next) => next());
+
+            await pulse.emit("user:created", {}, { retain: true });
+            const snapshot = pulse.inspect();
+
+            expect(snapshot.patterns).toEqual([
+                { pattern: "user:*", listeners: 2 },
+                { pattern: "order:**", listeners: 1 },
+            ]);
+            const [budgeted, limited, worker] = snapshot.listeners;
+            expect(budgeted).toMatchObject({ pattern: "user:*", priority: 2, group: "users", calls: 1, active: 0, queue: null, batched: 0 });
+            expect(budgeted.remaining.calls).toBe(2);
+            expect(budgeted.remaining.timeout).toBeGreaterThan(59000);
+            expect(budgeted.remaining.timeout).toBeLessThanOrEqual(60000);
+            expect(budgeted.options.autodestroy).toEqual({ calls: 3, timeout: 60000 });
+            expect(limited.remaining).toEqual({ calls: null, timeout: null });
+            expect(limited.queue).toEqual({ running: 0, queued: 0, waiting: 0 });
+            expect(worker.consumerGroup).toBe("workers");
+            expect(snapshot.middlewares).toEqual([
+                { pattern: "**", scope: "event", group: undefined, order: 0 },
+                { pattern: "user:**", scope: "listener", group: undefined, order: 1 },
+            ]);
+            expect(snapshot.consumerGroups).toEqual([{ name: "workers", strategy: "round-robin", members: 1 }]);
+            expect(snapshot.retained).toEqual(["user:created"]);
+        });
+
+        test("should report the live state of queues and batches", async () => {
+            let release;
+            const blocked = new Promise(resolve => { release = resolve; });
+            pulse.on("job", () => blocked, { concurrency: 1 });
+            pulse.on("log", () => {}, { batch: { size: 10, maxWait: 1000 } });
+
+            const jobs = [pulse.emit("job", 1), pulse.emit("job", 2)];
+            const log = pulse.emit("log", {});
+            await new Promise(resolve => setTimeout(resolve, 1));
+
+            const [job, batched] = pulse.inspect().listeners;
+            expect(job.queue).toEqual({ running: 1, queued: 1, waiting: 0 });
+            expect(job.active).toBe(2);
+            expect(batched.batched).toBe(1);
+
+            release();
+            await Promise.all(jobs);
+            pulse.removeAllListeners();
+            await log;
+        });
+
+        test("should explain which middlewares and listeners a topic reaches, in order", () => {
+            const low = pulse.on("user:**", () => {});
+            const high = pulse.on("user:++", () => {}, { priority: 5 });
+            pulse.on("user:*:deleted", () => {});
+            pulse.on("user", () => {});
+            const perListener = pulse.use("user:*", async (_, next) => next());
+            const perEvent = pulse.use("**", async (_, next) => next(), { scope: "event" });
+            pulse.use("admin:**", async (_, next) => next());
+
+            const explanation = pulse.explain("user:created");
+
+            expect(explanation.topic).toBe("user:created");
+            expect(explanation.dispatch).toBe("parallel");
+            expect(explanation.validated).toBe(false);
+            expect(explanation.middlewares.map(entry => entry.middleware)).toEqual([perEvent, perListener]);
+            expect(explanation.middlewares.map(entry => entry.pattern)).toEqual(["**", "user:*"]);
+            expect(explanation.listeners.map(entry => entry.listener)).toEqual([high, low]);
+            expect(explanation.listeners.map(entry => entry.pattern)).toEqual(["user:++", "user:**"]);
+            expect(pulse.explain("user").listeners.map(entry => entry.pattern)).toEqual(["user:**", "user"]);
+        });
+
+        test("should explain without running or counting anything", () => {
+            const callback = mock(() => {});
+            const middleware = mock(async (_, next) => next());
+            pulse.on("a", callback, { once: true, consumerGroup: "workers" });
+            pulse.on("a", callback, { consumerGroup: "workers" });
+            pulse.use("a", middleware);
+            pulse.define("a", () => true);
+
+            const explanation = pulse.explain("a", { dispatch: "sequential" });
+            pulse.explain("a");
+
+            expect(callback).not.toHaveBeenCalled();
+            expect(middleware).not.toHaveBeenCalled();
+            expect(explanation.dispatch).toBe("sequential");
+            expect(explanation.validated).toBe(true);
+            expect(explanation.listeners.map(entry => entry.consumerGroup)).toEqual(["workers", "workers"]);
+            expect(explanation.listeners[0].calls).toBe(0);
+            expect(() => pulse.explain("bad topic")).toThrow("Invalid topic: bad topic");
+            expect(() => pulse.explain("a", { dispatch: "random" })).toThrow();
+        });
+    });
+
+    describe("Attributed results", () => {
+        test("should record one result per listener with its status and duration", async () => {
+            const fast = pulse.on("order:placed", () => "stored", { name: "store" });
+            pulse.on("order:**", () => {}, { priority: -1 });
+
+            const event = await pulse.emit("order:placed", {});
+
+            expect(event.responses).toEqual(["stored"]);
+            expect(event.results).toHaveLength(2);
+            const [stored, logged] = event.results;
+            expect(stored).toMatchObject({ listener: fast, pattern: "order:placed", name: "store", status: "fulfilled", value: "stored" });
+            expect(stored.duration).toBeGreaterThanOrEqual(0);
+            expect(logged).toMatchObject({ pattern: "order:**", name: null, status: "fulfilled", value: undefined });
+        });
+
+        test("should wrap errors in a PulseListenerError and keep the raw error in event.errors", async () => {
+            const boom = new Error("boom");
+            pulse.on("a", () => { throw boom; }, { name: "thrower" });
+
+            const event = await pulse.emit("a", {});
+
+            expect(event.errors).toEqual([boom]);
+            const [result] = event.results;
+            expect(result.status).toBe("rejected");
+            expect(result.error).toBeInstanceOf(PulseListenerError);
+            expect(result.error.cause).toBe(boom);
+            expect(result.error.message).toBe("Listener thrower (a) failed for topic a: boom");
+            expect(result.error).toMatchObject({ topic: "a", pattern: "a", listenerName: "thrower", status: "rejected", duration: result.duration });
+        });
+
+        test("should tell timeouts apart from failures", async () => {
+            pulse.on("slow", () => new Promise(resolve => setTimeout(resolve, 50)));
+
+            const event = await pulse.emit("slow", {}, { timeout: 10 });
+
+            const [result] = event.results;
+            expect(result.status).toBe("timeout");
+            expect(result.duration).toBeGreaterThanOrEqual(9);
+            expect(result.error.status).toBe("timeout");
+            expect(result.error.message).toBe("Listener slow timed out for topic slow: Listener timed out after 10ms for topic: slow");
+            expect(result.error.cause).toBe(event.errors[0]);
+        });
+
+        test("should record skipped listeners with their reason", async () => {
+            pulse.use("a", async () => {});
+            pulse.on("a", () => "never");
+            pulse.on("b", () => {}, { debounce: 5 });
+
+            const blocked = await pulse.emit("a", {});
+            const [debounced] = await Promise.all([pulse.emit("b", {}), pulse.emit("b", {})]);
+
+            expect(blocked.results).toMatchObject([{ status: "skipped", reason: "blocked by middleware" }]);
+            expect(debounced.results).toMatchObject([{ status: "skipped", reason: "debounced" }]);
+        });
+
+        test("should record the final outcome once per delivery, after retries", async () => {
+            let calls = 0;
+            pulse.on("a", () => {
+                if (++calls < 2) throw new Error("flaky");
+                return "ok";
+            }, { retry: { attempts: 3, delay: 0 } });
+
+            const event = await pulse.emit("a", {});
+
+            expect(event.attempts).toHaveLength(2);
+            expect(event.results).toMatchObject([{ status: "fulfilled", value: "ok" }]);
+        });
+
+        test("should not collect results on silent events, and validate names", async () => {
+            pulse.on("a", () => "ok");
+
+            const event = await pulse.emit("a", {}, { silent: true });
+
+            expect(event.results).toEqual([]);
+            expect(() => pulse.on("a", () => {}, { name: 42 })).toThrow("Invalid listener name: 42");
+            expect(pulse.on("b", () => {}, { name: "b-handler" }).inspect().name).toBe("b-handler");
+        });
+
+        test("should record a skipped result for every listener the emit never reached", async () => {
+            const sequential = new Pulse({ dispatch: "sequential" });
+            sequential.on("a", ({event}) => { event.stopPropagation(); }, { priority: 1 });
+            sequential.on("a", () => {});
+            const stopped = await sequential.emit("a", {});
+            expect(stopped.results.map(result => [result.status, result.reason])).toEqual([["fulfilled", undefined], ["skipped", "propagation stopped"]]);
+
+            sequential.on("b", ({event}) => { event.stopImmediatePropagation(); }, { priority: 1 });
+            sequential.on("b", () => {}, { priority: 1 });
+            const immediate = await sequential.emit("b", {});
+            expect(immediate.results.map(result => result.reason)).toEqual([undefined, "propagation stopped"]);
+
+            pulse.on("c", () => {});
+            pulse.on("*", () => {});
+            pulse.use("c", () => {}, { scope: "event" });
+            const blocked = await pulse.emit("c", {});
+            expect(blocked.results.map(result => [result.status, result.reason])).toEqual([["skipped", "blocked by middleware"], ["skipped", "blocked by middleware"]]);
+
+            const aborting = new Pulse();
+            aborting.on("d", () => {});
+            const aborted = await aborting.emit("d", {}, { signal: AbortSignal.abort() });
+            expect(aborted.results.map(result => [result.status, result.reason])).toEqual([["skipped", "aborted"]]);
+
+            const collecting = new Pulse({ validation: "collect" });
+            collecting.define("e", { type: "string" });
+            collecting.on("e", () => {}, { name: "e-handler" });
+            const invalid = await collecting.emit("e", 42);
+            expect(invalid.results).toMatchObject([{ name: "e-handler", status: "skipped", reason: "invalid payload", duration: 0 }]);
+        });
+    });
+
+    describe("Pattern validation", () => {
+        test("should reject sections mixing ** or ++ with other characters", () => {
+            for (const pattern of ["user**", "**user", "a++", "a:++b", "a+b", "+", "a:***"]) {
+                expect(() => pulse.on(pattern, () => {})).toThrow(`Invalid pattern: ${pattern}`);
+                expect(() => pulse.use(pattern, async (_, next) => next())).toThrow(`Invalid pattern: ${pattern}`);
+            }
+            expect(pulse.listeners.size).toBe(0);
+            expect(pulse.middlewares).toHaveLength(0);
+        });
+
+        test("should match the same topics in the index and in matchesPattern()", () => {
+            const sections = ["a", "b", "*", "**", "++", "a*", "*b"];
+            const words = ["a", "b", "ab", "ba"];
+            const combine = (pool, length) => length === 0
+                ? [[]]
+                : combine(pool, length - 1).flatMap(prefix => pool.map(item => [...prefix, item]));
+            const patterns = [1, 2, 3].flatMap(length => combine(sections, length).map(parts => parts.join(":")));
+            const topics = [1, 2, 3].flatMap(length => combine(words, length).map(parts => parts.join(":")));
+
+            const listeners = new Map(patterns.map(pattern => [pattern, pulse.on(pattern, () => {})]));
+            const mismatches = [];
+            for (const topic of topics) {
+                const matched = new Set(pulse.listenerIndex.match(topic));
+                for (const [pattern, listener] of listeners) {
+                    if (matched.has(listener) !== pulse.matchesPattern(topic, pattern)) mismatches.push(`${pattern} vs ${topic}`);
+                }
+            }
+
+            expect(mismatches).toEqual([]);
+        });
+    });
+
+    describe("Registration errors", () => {
+        test("should not subscribe to the signal nor start timers when the pattern or options are invalid", () => {
+            const controller = new AbortController();
+            const subscribe = spyOn(controller.signal, "addEventListener");
+            const timer = spyOn(globalThis, "setTimeout");
+            const options = { signal: controller.signal, autodestroy: { timeout: 1000 } };
+
+            try {
+                expect(() => pulse.on("bad topic", () => {}, options)).toThrow("Invalid pattern: bad topic");
+                expect(() => pulse.on("a", () => {}, { ...options, debounce: -1 })).toThrow("Invalid debounce: -1");
+                expect(() => pulse.on("a", () => {}, { ...options, consumerGroup: { name: "g", strategy: "random" } })).toThrow("Invalid consumer group strategy");
+
+                expect(subscribe).not.toHaveBeenCalled();
+                expect(timer).not.toHaveBeenCalled();
+            } finally {
+                subscribe.mockRestore();
+                timer.mockRestore();
+            }
+        });
+    });
+
+    describe("Retained replay", () => {
+        test("should make waitFor() wait for the next event instead of the retained one", async () => {
+            await pulse.emit("db:connected", { attempt: 1 }, { retain: true });
+
+            const next = pulse.waitFor("db:connected", { timeout: 100 });
+            await new Promise(resolve => setTimeout(resolve, 1));
+            await pulse.emit("db:connected", { attempt: 2 });
+
+            expect((await next).data).toEqual({ attempt: 2 });
+        });
+
+        test("should deliver copies so late responses never reach the original event", async () => {
+            pulse.on("config", () => "orig");
+            const original = await pulse.emit("config", { flag: true }, { retain: true });
+
+            const received = [];
+            pulse.on("config", ({event}) => {
+                received.push(event);
+                event.respond("late");
+                throw new Error("late failure");
+            });
+            await new Promise(resolve => setTimeout(resolve, 1));
+
+            expect(original.responses).toEqual(["orig"]);
+            expect(original.errors).toEqual([]);
+            expect(original.results).toHaveLength(1);
+            expect(received).toHaveLength(1);
+            expect(received[0]).not.toBe(original);
+            expect(received[0].id).toBe(original.id);
+            expect(received[0].data).toEqual({ flag: true });
+            expect(received[0].responses).toEqual(["late"]);
+        });
+
+        test("should deliver copies when replaying history", async () => {
+            pulse = new Pulse({ history: true });
+            pulse.on("a", () => "orig");
+            const original = await pulse.emit("a", {});
+
+            const late = pulse.on("a", () => "replayed");
+            await pulse.replay("a", { to: late });
+
+            expect(original.responses).toEqual(["orig"]);
+        });
+
+        test("should replay a retained event to a consumer group once", async () => {
+            await pulse.emit("job", 1, { retain: true });
+            const calls = [];
+
+            pulse.on("job", () => calls.push("first"), { consumerGroup: "workers" });
+            await new Promise(resolve => setTimeout(resolve, 1));
+            pulse.on("job", () => calls.push("second"), { consumerGroup: "workers" });
+            await new Promise(resolve => setTimeout(resolve, 1));
+
+            expect(calls).toEqual(["first"]);
+        });
+
+        test("should neither retain nor record an emit denied by a middleware", async () => {
+            const recording = new Pulse({ history: true });
+            recording.use("config:**", ({event}, next) => {
+                if (event.data.admin) return next();
+                event.error(new Error("Forbidden"));
+            }, { scope: "event" });
+
+            await recording.emit("config:flag", { admin: true, value: 1 }, { retain: true });
+            const denied = await recording.emit("config:flag", { admin: false, value: 2 }, { retain: true });
+
+            expect(denied.errors[0].message).toBe("Forbidden");
+            expect(recording.retained.get("config:flag").data.value).toBe(1);
+            expect(recording.history().map(event => event.data.value)).toEqual([1]);
+        });
+    });
+
+    describe("Dead-letter loops", () => {
+        test("should not loop when an async callback emits a failing event", async () => {
+            let handled = 0;
+            pulse = new Pulse({
+                deadLetter: async () => {
+                    if (++handled > 20) return;
+                    await null;
+                    await pulse.emit("alert:send", {});
+                },
+            });
+            pulse.on("alert:send", () => { throw new Error("mail server down"); });
+
+            await pulse.emit("alert:send", {});
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            expect(handled).toBe(1);
+        });
+
+        test("should not loop when an async dead-letter listener emits a failing event", async () => {
+            let handled = 0;
+            pulse = new Pulse({ deadLetter: "dead" });
+            pulse.on("dead", async () => {
+                if (++handled > 20) return;
+                await new Promise(resolve => setTimeout(resolve, 1));
+                await pulse.emit("alert:send", {});
+            });
+            pulse.on("alert:send", () => { throw new Error("mail server down"); });
+
+            await pulse.emit("alert:send", {});
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            expect(handled).toBe(1);
+        });
+
+        test("should still route unrelated failures emitted outside dead-letter handling", async () => {
+            const letters = [];
+            pulse = new Pulse({ deadLetter: async (letter) => { letters.push(letter.event.topic); await null; } });
+
+            await Promise.all([pulse.emit("a", {}), pulse.emit("b", {})]);
+
+            expect(letters).toEqual(["a", "b"]);
+        });
+    });
 });
\ No newline at end of file
@@ -0,0 +1,347 @@
+// tests/websocket.test.js
+import { describe, expect, test, beforeEach, afterEach } from "bun:test";
+import { Pulse } from "../src/core/pulse";
+import { PulseSocketServer, PulseSocketClient } from "../src/transports/websocket";
+
+/**
+ * Wait until a condition holds, polling every few milliseconds
+ */
+const until = async (condition, timeout = 1000) => {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) throw new Error("Condition not met in time");
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+};
+
+describe("WebSocket transport", () => {
+    let pulse, socketServer, server, clients;
+
+    const connect = (options = {}, query = "") => {
+        const client = new PulseSocketClient(`ws://localhost:${server.port}/${query}`, { reconnect: { delay: 10 }, ...options });
+        clients.push(client);
+        return client;
+    };
+
+    beforeEach(() => {
+        pulse = new Pulse();
+        socketServer = new PulseSocketServer(pulse);
+        clients = [];
+        server = Bun.serve({
+            port: 0,
+            fetch(req, srv) {
+                const user = new URL(req.url).searchParams.get("user");
+                if (srv.upgrade(req, { data: { user } })) return;
+                return new Response("Upgrade required", { status: 426 });
+            },
+            websocket: {
+                open(ws) { ws.data.connection = socketServer.connection(ws, { user: ws.data.user }); },
+                message(ws, message) { ws.data.connection.receive(message); },
+                close(ws) { ws.data.connection.close(); },
+            },
+        });
+    });
+
+    afterEach(() => {
+        for (const client of clients) client.close();
+        socketServer.close();
+        server.stop(true);
+    });
+
+    test("should forward subscribed server events to the client pulse", async () => {
+        const client = connect();
+        const received = [];
+        client.pulse.on("chat:**", ({event}) => { received.push(event); });
+
+        await client.subscribe("chat:**");
+        await pulse.emit("chat:message", { text: "hi" });
+        await pulse.emit("other:topic", {});
+
+        await until(() => received.length === 1);
+        expect(received[0].topic).toBe("chat:message");
+        expect(received[0].data).toEqual({ text: "hi" });
+    });
+
+    test("should not replay retained server events on subscribe", async () => {
+        await pulse.emit("chat:topic", { name: "old" }, { retain: true });
+        const client = connect();
+        const received = [];
+        client.pulse.on("chat:**", ({event}) => { received.push(event.data.name); });
+
+        await client.subscribe("chat:**");
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await pulse.emit("chat:topic", { name: "new" });
+
+        await until(() => received.length === 1);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        expect(received).toEqual(["new"]);
+    });
+
+    test("should send overlapping subscriptions once per event", async () => {
+        const client = connect();
+        const received = [];
+        client.pulse.on("chat:**", ({event}) => { received.push(event.id); });
+
+        await client.subscribe("chat:**");
+        await client.subscribe("chat:*");
+        const event = await pulse.emit("chat:message", {});
+        await pulse.emit("chat:done", {});
+
+        await until(() => received.length === 2);
+        expect(received[0]).toBe(event.id);
+    });
+
+    test("should stop forwarding after unsubscribe", async () => {
+        const client = connect();
+        const received = [];
+        client.pulse.on("chat:**", ({event}) => { received.push(event.topic); });
+
+        await client.subscribe("chat:**");
+        await client.unsubscribe("chat:**");
+        await pulse.emit("chat:message", {});
+        await client.subscribe("chat:other");
+        await pulse.emit("chat:other", {});
+
+        await until(() => received.length === 1);
+        expect(received).toEqual(["chat:other"]);
+        expect(client.subscriptions.has("chat:**")).toBe(false);
+    });
+
+    test("should emit on the server and return its responses and errors", async () => {
+        const client = connect();
+        pulse.on("math:double", ({event}) => event.data * 2);
+        pulse.on("math:fail", () => { throw new TypeError("nope"); });
+
+        const event = await client.emit("math:double", 21);
+        expect(event.responses).toEqual([42]);
+
+        const failed = await client.emit("math:fail", null);
+        expect(failed.errors[0].name).toBe("TypeError");
+        expect(failed.errors[0].message).toBe("nope");
+    });
+
+    test("should expose the connection to server listeners and middlewares", async () => {
+        const client = connect({}, "?user=ada");
+        pulse.on("whoami", ({event}) => event.get("connection").data.user);
+
+        const event = await client.emit("whoami", null);
+        expect(event.responses).toEqual(["ada"]);
+    });
+
+    test("should let use() middlewares deny subscriptions", async () => {
+        pulse.use("socket:subscribe", ({event}, next) => {
+            if (event.data.pattern.startsWith("admin:")) {
+                event.error(new Error("Forbidden"));
+                return;
+            }
+            return next();
+        }, { scope: "event" });
+
+        const client = connect();
+        await expect(client.subscribe("admin:**")).rejects.toThrow("Forbidden");
+        await client.subscribe("chat:**");
+
+        expect(client.subscriptions.has("admin:**")).toBe(false);
+        expect([...socketServer.connections][0].subscriptions.has("admin:**")).toBe(false);
+    });
+
+    test("should answer subscriptions whose dispatch throws", async () => {
+        pulse.define("socket:subscribe", ({ pattern }) => pattern.startsWith("chat:") || "pattern must start with chat:");
+        const replies = [];
+        const connection = socketServer.connection({ send: frame => replies.push(JSON.parse(frame)) });
+
+        await connection.receive(JSON.stringify({ type: "subscribe", id: "1", pattern: "admin:**" }));
+        expect(replies[0].type).toBe("error");
+        expect(replies[0].error.name).toBe("PulseValidationError");
+
+        const client = connect();
+        const error = await client.subscribe("admin:**").catch(error => error);
+        expect(error.message).toContain("pattern must start with chat:");
+        expect(client.subscriptions.has("admin:**")).toBe(false);
+    });
+
+    test("should time out subscriptions the server never answers", async () => {
+        const socket = { readyState: 1, send: () => {}, close: () => {}, addEventListener: () => {} };
+        const client = new PulseSocketClient(() => socket, { reconnect: false, timeout: 20 });
+        clients.push(client);
+
+        await expect(client.subscribe("chat:**")).rejects.toThrow("Remote subscribe timed out after 20ms for pattern: chat:**");
+        expect(client.subscriptions.has("chat:**")).toBe(false);
+        expect(() => new PulseSocketClient(() => socket, { timeout: 0 })).toThrow("Invalid client timeout: 0");
+    });
+
+    test("should let use() middlewares deny client emits", async () => {
+        const calls = [];
+        pulse.on("admin:reset", () => { calls.push("reset"); return true; });
+        pulse.use("admin:**", ({event}, next) => {
+            if (event.get("connection")) {
+                event.error(new Error("Forbidden"));
+                return;
+            }
+            return next();
+        });
+
+        const client = connect();
+        const event = await client.emit("admin:reset", null);
+        expect(event.errors[0].message).toBe("Forbidden");
+        expect(calls).toEqual([]);
+
+        await pulse.emit("admin:reset", null);
+        expect(calls).toEqual(["reset"]);
+    });
+
+    test("should ignore wire options a client may not choose", async () => {
+        const client = connect();
+        const seen = [];
+        pulse.on("config:flag", ({event}) => { seen.push(event.options); return "ok"; });
+
+        const event = await client.emit("config:flag", { value: 1 }, { retain: true, silent: true, cancelable: true, timeout: 1000 });
+
+        expect(event.errors).toEqual([]);
+        expect(seen.length).toBe(1);
+        expect(pulse.retained.size).toBe(0);
+        expect(seen[0].silent).toBe(false);
+        expect(seen[0].cancelable).toBe(true);
+        expect(seen[0].timeout).toBe(1000);
+    });
+
+    test("should not send server stack traces to clients", async () => {
+        const replies = [];
+        const connection = socketServer.connection({ send: frame => replies.push(JSON.parse(frame)) });
+        pulse.on("math:fail", () => { throw new TypeError("nope"); });
+        pulse.use("socket:subscribe", ({event}) => { event.error(new Error("Forbidden")); }, { scope: "event" });
+
+        await connection.receive(JSON.stringify({ type: "emit", id: "1", event: { id: "1", topic: "math:fail", data: null }, timeout: 100 }));
+        await connection.receive(JSON.stringify({ type: "subscribe", id: "2", pattern: "admin:**" }));
+
+        expect(replies[0].errors).toEqual([{ name: "TypeError", message: "nope" }]);
+        expect(replies[1].error).toEqual({ name: "Error", message: "Forbidden" });
+    });
+
+    test("should reject malformed frames", async () => {
+        const replies = [];
+        const connection = socketServer.connection({ send: frame => replies.push(JSON.parse(frame)) });
+
+        await connection.receive("not json");
+        await connection.receive(JSON.stringify({ type: "dance", id: "1" }));
+
+        expect(replies[0]).toEqual({ type: "error", id: null, error: { name: "Error", message: "Malformed frame" } });
+        expect(replies[1].error.message).toBe("Unknown frame type: dance");
+    });
+
+    test("should time out remote emits", async () => {
+        const client = connect();
+        pulse.on("slow", () => new Promise(() => {}));
+
+        const event = await client.emit("slow", null, { timeout: 50 });
+        expect(event.errors.length).toBe(1);
+        expect(event.errors[0].message).toContain("timed out");
+    });
+
+    test("should reconnect and restore subscriptions", async () => {
+        const client = connect();
+        const received = [];
+        client.pulse.on("chat:**", ({event}) => { received.push(event.data); });
+        await client.subscribe("chat:**");
+
+        // Drop the connection from the server side
+        const [connection] = socketServer.connections;
+        connection.socket.close();
+        await until(() => socketServer.connections.size === 0);
+        await until(() => socketServer.connections.size === 1 && [...socketServer.connections][0].subscriptions.size === 1);
+
+        await pulse.emit("chat:message", "after reconnect");
+        await until(() => received.length === 1);
+        expect(received).toEqual(["after reconnect"]);
+        expect(client.connected).toBe(true);
+    });
+
+    test("should report and forget subscriptions denied after a reconnect", async () => {
+        const client = connect();
+        await client.subscribe("chat:**");
+        const denied = client.pulse.waitFor("socket:denied", { timeout: 1000 });
+
+        pulse.use("socket:subscribe", ({event}) => { event.error(new Error("Session expired")); }, { scope: "event" });
+        [...socketServer.connections][0].socket.close();
+
+        const event = await denied;
+        expect(event.data.pattern).toBe("chat:**");
+        expect(event.data.error.message).toBe("Session expired");
+        expect(client.subscriptions.has("chat:**")).toBe(false);
+    });
+
+    test("should not send queued frames whose calls already failed", async () => {
+        const sent = [];
+        const handlers = {};
+        const socket = {
+            readyState: 0,
+            send: frame => sent.push(JSON.parse(frame)),
+            close: () => {},
+            addEventListener: (type, handler) => { handlers[type] = handler; },
+        };
+        const client = new PulseSocketClient(() => socket, { reconnect: false });
+        clients.push(client);
+
+        const event = await client.emit("chat:send", {}, { timeout: 20 });
+        expect(event.errors[0].message).toContain("timed out");
+
+        socket.readyState = 1;
+        handlers.open();
+        expect(sent).toEqual([]);
+    });
+
+    test("should keep frames queued across failed connection attempts", async () => {
+        const sockets = [];
+        const fakeSocket = () => {
+            const handlers = {};
+            const socket = {
+                readyState: 0,
+                sent: [],
+                send: frame => socket.sent.push(JSON.parse(frame)),
+                close: () => {},
+                addEventListener: (type, handler) => { handlers[type] = handler; },
+                fire: type => handlers[type]?.({}),
+            };
+            sockets.push(socket);
+            return socket;
+        };
+        const client = new PulseSocketClient(fakeSocket, { reconnect: { delay: 5 } });
+        clients.push(client);
+
+        const pending = client.emit("chat:send", {}, { timeout: 1000 });
+        const subscribed = client.subscribe("chat:**");
+
+        // Two attempts fail before the server is back
+        sockets[0].readyState = 3;
+        sockets[0].fire("close");
+        await until(() => sockets.length === 2);
+        sockets[1].readyState = 3;
+        sockets[1].fire("close");
+        await until(() => sockets.length === 3);
+
+        sockets[2].readyState = 1;
+        sockets[2].fire("open");
+        const [emit, subscribe] = sockets[2].sent;
+        expect(emit.type).toBe("emit");
+        expect(subscribe.type).toBe("subscribe");
+
+        client.close();
+        expect((await pending).errors[0].message).toBe("Client closed");
+        await expect(subscribed).rejects.toThrow("Client closed");
+    });
+
+    test("should not reconnect once closed", async () => {
+        const client = connect();
+        await client.subscribe("chat:**");
+
+        client.close();
+        await until(() => socketServer.connections.size === 0);
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(socketServer.connections.size).toBe(0);
+        expect(client.connected).toBe(false);
+        await expect(client.subscribe("other")).rejects.toThrow("Client closed");
+        const event = await client.emit("chat:message", null);
+        expect(event.errors[0].message).toBe("Client closed");
+    });
+});